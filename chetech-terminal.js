@@ -0,0 +1,29 @@
+// <chetech-terminal> as an ES module:
+//
+//   import ChetechTerminal from 'https://chetech.se/chetech-terminal.js';
+//
+// The element lives in script.js, which the site loads as a classic script. This
+// loads it the same way (so it still finds terminal.css next to itself) unless the
+// page has done so already, then hands back the class. Attributes, methods and
+// events are described in scenarios/README.md.
+
+const SCRIPT_URL = new URL('script.js', import.meta.url).href;
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+if (!customElements.get('chetech-terminal')) {
+    await loadScript(SCRIPT_URL);
+}
+
+const ChetechTerminal = customElements.get('chetech-terminal');
+
+export { ChetechTerminal };
+export default ChetechTerminal;
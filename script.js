@@ -9,8 +9,12 @@
     // ===================================
     // Terminal Animation Configuration
     // ===================================
-    const terminalSequences = [
+
+    // Built-in scenarios, used when the scenario files can't be loaded
+    const defaultScenarios = [
         {
+            id: 'analyze',
+            title: 'Analyze a codebase',
             command: 'chetech-agent --task "analyze codebase"',
             outputs: [
                 { text: '> Initializing secure, offline AI environment...', delay: 300 },
@@ -21,6 +25,8 @@
             ]
         },
         {
+            id: 'rag',
+            title: 'Query legacy documentation',
             command: 'chetech-agent --rag "query legacy docs"',
             outputs: [
                 { text: '> Connecting to RAG pipeline...', delay: 300 },
@@ -31,6 +37,8 @@
             ]
         },
         {
+            id: 'refactor',
+            title: 'Refactor a module',
             command: 'chetech-agent --refactor "optimize module"',
             outputs: [
                 { text: '> Analyzing code patterns...', delay: 400 },
@@ -41,6 +49,8 @@
             ]
         },
         {
+            id: 'mcp',
+            title: 'Connect tools over MCP',
             command: 'chetech-agent --mcp "connect tools"',
             outputs: [
                 { text: '> Starting MCP server...', delay: 300 },
@@ -53,561 +63,7109 @@
     ];
 
     // ===================================
-    // Terminal Animation Engine
+    // Motion Preferences
     // ===================================
-    class TerminalAnimator {
-        constructor() {
-            this.commandEl = null;
-            this.outputEl = null;
-            this.cursorEl = null;
-            this.currentSequence = 0;
-            this.isAnimating = false;
-            this.isPaused = false;
-        }
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
 
-        setElements(commandEl, outputEl, cursorEl) {
-            this.commandEl = commandEl;
-            this.outputEl = outputEl;
-            this.cursorEl = cursorEl;
-        }
+    function prefersReducedMotion() {
+        return reducedMotionQuery.matches;
+    }
 
-        pause() {
-            this.isPaused = true;
+    // Returns a function that stops listening. Older Safari only has the MediaQueryList listener API.
+    function onReducedMotionChange(listener) {
+        if (reducedMotionQuery.addEventListener) {
+            reducedMotionQuery.addEventListener('change', listener);
+            return () => reducedMotionQuery.removeEventListener('change', listener);
         }
+        reducedMotionQuery.addListener(listener);
+        return () => reducedMotionQuery.removeListener(listener);
+    }
 
-        resume() {
-            this.isPaused = false;
-        }
+    // ===================================
+    // Scenario Loading
+    // ===================================
+    const SCENARIO_FORMAT_VERSION = 1;
+    const DEFAULT_SCENARIO_SOURCES = ['scenarios/agent-demos.json'];
+    const OUTPUT_CLASSES = ['info', 'success', 'warning', 'error', 'muted'];
+    // Steps that wait for the visitor, then carry on down the branch for their answer
+    const PROMPT_TYPES = ['confirm', 'choice', 'input'];
+    const OUTPUT_TYPES = ['line', 'spinner', 'progress', 'diff', 'table'].concat(PROMPT_TYPES);
+    // Long enough to read the question, short enough that autoplay keeps moving
+    const PROMPT_TIMEOUT = 8000;
+    const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
 
-        async typeText(element, text, speed = 50) {
-            if (!element) return;
-            element.textContent = '';
-            for (let i = 0; i < text.length; i++) {
-                if (this.isPaused) {
-                    await this.waitForResume();
-                }
-                element.textContent += text[i];
-                await this.sleep(speed);
-            }
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    // The answers a confirm or choice prompt can take; branches are keyed by these
+    function promptAnswers(output) {
+        return output.type === 'confirm' ? ['yes', 'no'] : output.choices;
+    }
+
+    function validatePrompt(output, at, errors) {
+        if (output.timeout !== undefined && !(isNumber(output.timeout) && output.timeout > 0)) {
+            errors.push(`${at}.timeout must be a positive number of milliseconds`);
+        }
+        if (output.var !== undefined && !(typeof output.var === 'string' && VARIABLE_NAME.test(output.var))) {
+            errors.push(`${at}.var must be a name such as "answer" or "target_env"`);
         }
 
-        async waitForResume() {
-            while (this.isPaused) {
-                await this.sleep(100);
+        if (output.type === 'input') {
+            if (typeof output.default !== 'string') {
+                errors.push(`${at}.default must be a string; it is typed in when nobody answers`);
             }
+            if (output.branches !== undefined) {
+                errors.push(`${at}.branches: input prompts cannot branch`);
+            }
+            return;
         }
 
-        async sleep(ms) {
-            return new Promise(resolve => setTimeout(resolve, ms));
+        if (output.type === 'choice' && !(isStringArray(output.choices) && output.choices.length > 0 &&
+                output.choices.every(choice => choice !== ''))) {
+            errors.push(`${at}.choices must be a non-empty array of strings`);
+            return;
         }
-
-        async addOutputLine(text, className = '') {
-            if (!this.outputEl) return;
-            const line = document.createElement('div');
-            line.className = 'output-line' + (className ? ' ' + className : '');
-            line.textContent = text;
-            this.outputEl.appendChild(line);
+        const answers = promptAnswers(output);
+        if (output.default !== undefined && !answers.includes(output.default)) {
+            errors.push(`${at}.default must be one of ${answers.join(', ')}`);
         }
-
-        async runSequence(sequence) {
-            if (this.isAnimating || !this.commandEl || !this.outputEl) return;
-            this.isAnimating = true;
-
-            // Clear previous output
-            this.outputEl.innerHTML = '';
-            this.commandEl.textContent = '';
-
-            // Show cursor
-            if (this.cursorEl) {
-                this.cursorEl.style.display = 'inline';
+        if (output.branches === undefined) return;
+        if (!output.branches || typeof output.branches !== 'object' || Array.isArray(output.branches)) {
+            errors.push(`${at}.branches must be an object keyed by answer`);
+            return;
+        }
+        Object.keys(output.branches).forEach(answer => {
+            if (!answers.includes(answer)) {
+                errors.push(`${at}.branches.${answer} is not a possible answer (${answers.join(', ')})`);
+                return;
             }
+            validateOutputs(output.branches[answer], `${at}.branches.${answer}`, errors);
+        });
+    }
 
-            // Type command
-            await this.typeText(this.commandEl, sequence.command, 40);
-
-            // Small pause after command
-            await this.sleep(400);
-
-            // Show outputs one by one
-            for (const output of sequence.outputs) {
-                if (this.isPaused) {
-                    await this.waitForResume();
+    // Checks a list of outputs, including the branches under any prompts in it
+    function validateOutputs(outputs, path, errors) {
+        if (!Array.isArray(outputs) || outputs.length === 0) {
+            errors.push(`${path} must be a non-empty array`);
+            return;
+        }
+        outputs.forEach((output, i) => {
+            const at = `${path}[${i}]`;
+            const type = output && output.type;
+            // Diffs and tables can do without a heading
+            const textOptional = type === 'diff' || type === 'table';
+            if (!output || !(typeof output.text === 'string' || (textOptional && output.text === undefined))) {
+                errors.push(`${at}.text must be a string`);
+                return;
+            }
+            if (output.delay !== undefined && !(isNumber(output.delay) && output.delay >= 0)) {
+                errors.push(`${at}.delay must be a non-negative number`);
+            }
+            if (output.class !== undefined && !OUTPUT_CLASSES.includes(output.class)) {
+                errors.push(`${at}.class must be one of ${OUTPUT_CLASSES.join(', ')}`);
+            }
+            if (type !== undefined && !OUTPUT_TYPES.includes(type)) {
+                errors.push(`${at}.type must be one of ${OUTPUT_TYPES.join(', ')}`);
+            }
+            if ((type === 'spinner' || type === 'progress') &&
+                    !(isNumber(output.duration) && output.duration > 0)) {
+                errors.push(`${at}.duration must be a positive number of milliseconds`);
+            }
+            if (output.total !== undefined && !(Number.isInteger(output.total) && output.total > 0)) {
+                errors.push(`${at}.total must be a positive whole number`);
+            }
+            if (output.doneText !== undefined && typeof output.doneText !== 'string') {
+                errors.push(`${at}.doneText must be a string`);
+            }
+            if (output.frameDelay !== undefined && !(isNumber(output.frameDelay) && output.frameDelay >= 0)) {
+                errors.push(`${at}.frameDelay must be a non-negative number`);
+            }
+            if (output.lineDelay !== undefined && !(isNumber(output.lineDelay) && output.lineDelay >= 0)) {
+                errors.push(`${at}.lineDelay must be a non-negative number`);
+            }
+            if (type === 'diff') {
+                if (!isStringArray(output.lines)) {
+                    errors.push(`${at}.lines must be an array of unified diff lines`);
                 }
-                await this.sleep(output.delay || 300);
-                await this.addOutputLine(output.text, output.class || '');
+                if (output.file !== undefined && typeof output.file !== 'string') {
+                    errors.push(`${at}.file must be a string`);
+                }
+            }
+            if (type === 'table') {
+                if (!isStringArray(output.columns) || output.columns.length === 0) {
+                    errors.push(`${at}.columns must be a non-empty array of strings`);
+                } else if (!Array.isArray(output.rows) ||
+                        !output.rows.every(row => isStringArray(row) && row.length === output.columns.length)) {
+                    errors.push(`${at}.rows must be arrays of strings, one per column`);
+                }
+            }
+            if (PROMPT_TYPES.includes(type)) {
+                validatePrompt(output, at, errors);
             }
+        });
+    }
 
-            // Pause before next sequence
-            await this.sleep(8000);
+    // Returns a list of problems; an empty list means the entry is usable
+    function validateScenario(raw) {
+        const errors = [];
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return ['must be an object'];
+        }
 
-            this.isAnimating = false;
+        if (typeof raw.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(raw.id)) {
+            errors.push('id must be a lowercase slug such as "rag" or "mcp-tools"');
+        }
+        if (raw.title !== undefined && typeof raw.title !== 'string') {
+            errors.push('title must be a string');
+        }
+        if (raw.weight !== undefined && !(Number.isInteger(raw.weight) && raw.weight >= 0)) {
+            errors.push('weight must be a whole number, 0 or more');
+        }
+        if (raw.typingSpeed !== undefined && !(isNumber(raw.typingSpeed) && raw.typingSpeed > 0)) {
+            errors.push('typingSpeed must be a positive number of milliseconds per character');
+        }
+        if (raw.hold !== undefined && !(isNumber(raw.hold) && raw.hold >= 0)) {
+            errors.push('hold must be a non-negative number of milliseconds');
         }
 
-        async start() {
-            while (true) {
-                if (!this.isPaused && this.commandEl && this.outputEl) {
-                    await this.runSequence(terminalSequences[this.currentSequence]);
-                    this.currentSequence = (this.currentSequence + 1) % terminalSequences.length;
-                } else {
-                    await this.sleep(500);
-                }
+        // A recorded session replaces the scripted command and outputs
+        if (raw.cast !== undefined) {
+            if (typeof raw.cast !== 'string' || raw.cast.trim() === '') {
+                errors.push('cast must be the path of an asciinema .cast file');
+            }
+            if (raw.command !== undefined || raw.outputs !== undefined) {
+                errors.push('a cast scenario cannot also have command or outputs');
+            }
+            if (raw.speed !== undefined && !(isNumber(raw.speed) && raw.speed > 0)) {
+                errors.push('speed must be a positive number');
             }
+            if (raw.idleTimeLimit !== undefined && !(isNumber(raw.idleTimeLimit) && raw.idleTimeLimit > 0)) {
+                errors.push('idleTimeLimit must be a positive number of seconds');
+            }
+            return errors;
         }
-    }
-
-    // ===================================
-    // Terminal Window (WinBox Wrapper)
-    // ===================================
-    class TerminalWindow {
-        constructor(animator) {
-            this.animator = animator;
-            this.winbox = null;
-            this.isMinimized = false;
-            this.isMaximized = false;
-            this.isClosed = false;
-            this.reopenTimeout = null;
-            this.isMobile = this.detectMobile();
-            this.container = document.getElementById('terminal-container');
-            this.reopenBtn = document.getElementById('terminal-reopen');
-            this.dockElement = null;
-            this.savedPosition = null;
-            this.dragEnabled = !this.isMobile;
 
-            this.init();
+        if (typeof raw.command !== 'string' || raw.command.trim() === '') {
+            errors.push('command must be a non-empty string');
         }
-
-        detectMobile() {
-            return window.matchMedia('(max-width: 1024px)').matches ||
-                   'ontouchstart' in window ||
-                   navigator.maxTouchPoints > 0;
+        if (raw.vars !== undefined && !(raw.vars && typeof raw.vars === 'object' && !Array.isArray(raw.vars) &&
+                Object.keys(raw.vars).every(name => VARIABLE_NAME.test(name) && typeof raw.vars[name] === 'string'))) {
+            errors.push('vars must map variable names to strings');
         }
 
-        init() {
-            this.createWindow();
-            this.setupReopenButton();
+        validateOutputs(raw.outputs, 'outputs', errors);
+        return errors;
+    }
 
-            // Update mobile detection on resize
-            window.addEventListener('resize', () => {
-                this.isMobile = this.detectMobile();
-                this.dragEnabled = !this.isMobile;
+    function normalizeOutput(output) {
+        const type = output.type || 'line';
+        const normalized = {
+            type,
+            text: output.text || '',
+            delay: output.delay !== undefined ? output.delay : 300,
+            class: output.class || '',
+            duration: output.duration,
+            total: output.total,
+            doneText: output.doneText,
+            frameDelay: output.frameDelay !== undefined ? output.frameDelay : 150
+        };
+        if (type === 'diff' || type === 'table') {
+            Object.assign(normalized, {
+                file: output.file,
+                lines: output.lines,
+                columns: output.columns,
+                rows: output.rows,
+                lineDelay: output.lineDelay !== undefined ? output.lineDelay : 60
             });
         }
+        if (PROMPT_TYPES.includes(type)) {
+            const branches = {};
+            Object.keys(output.branches || {}).forEach(answer => {
+                branches[answer] = output.branches[answer].map(normalizeOutput);
+            });
+            Object.assign(normalized, {
+                choices: output.choices,
+                default: output.default !== undefined ? output.default : promptAnswers(output)[type === 'confirm' ? 1 : 0],
+                timeout: output.timeout || PROMPT_TIMEOUT,
+                var: output.var || null,
+                branches
+            });
+        }
+        return normalized;
+    }
 
-        createWindow() {
-            const containerRect = this.container.getBoundingClientRect();
-
-            // Create the terminal content
-            const terminalHTML = `
-                <div class="terminal-header">
-                    <div class="terminal-buttons">
-                        <span class="terminal-btn red" id="btn-close"></span>
-                        <span class="terminal-btn yellow" id="btn-minimize"></span>
-                        <span class="terminal-btn green" id="btn-maximize"></span>
-                    </div>
-                    <div class="terminal-title">chetech-agent</div>
-                </div>
-                <div class="terminal-body">
-                    <div class="terminal-content">
-                        <div class="terminal-line">
-                            <span class="prompt">$</span>
-                            <span class="command" id="terminal-command"></span>
-                            <span class="cursor" id="cursor">|</span>
-                        </div>
-                        <div class="terminal-output" id="terminal-output"></div>
-                    </div>
-                </div>
-            `;
-
-            // Calculate position
-            const width = Math.min(540, window.innerWidth - 40);
-            const height = 380;
+    // Fill in defaults so the animator never has to guess. Cast paths are
+    // relative to the scenario file they appear in.
+    function normalizeScenario(raw, source) {
+        const base = {
+            id: raw.id,
+            title: raw.title || raw.id,
+            weight: raw.weight !== undefined ? raw.weight : 1,
+            hold: raw.hold !== undefined ? raw.hold : 8000
+        };
+        if (raw.cast !== undefined) {
+            return Object.assign(base, {
+                cast: new URL(raw.cast, new URL(source, document.baseURI)).href,
+                speed: raw.speed || 1,
+                idleTimeLimit: raw.idleTimeLimit,
+                // Filled in by loadRecordings()
+                recording: null
+            });
+        }
+        return Object.assign(base, {
+            typingSpeed: raw.typingSpeed || 40,
+            command: raw.command,
+            vars: Object.assign({}, raw.vars),
+            outputs: raw.outputs.map(normalizeOutput)
+        });
+    }
 
-            // For desktop, position relative to container
-            // For mobile, center in container
-            let x, y;
-            if (this.isMobile) {
-                x = 'center';
-                y = containerRect.top + window.scrollY;
-            } else {
-                x = containerRect.left + (containerRect.width - width) / 2;
-                y = containerRect.top + window.scrollY + 20;
+    // Validate a list of raw entries, logging why each rejected one was dropped
+    function collectScenarios(entries, source, seen = new Set()) {
+        const scenarios = [];
+        entries.forEach((raw, i) => {
+            const label = `${source} scenarios[${i}]` + (raw && typeof raw.id === 'string' ? ` ("${raw.id}")` : '');
+            const errors = validateScenario(raw);
+            if (errors.length === 0 && seen.has(raw.id)) {
+                errors.push('id is already used by an earlier scenario');
             }
+            if (errors.length > 0) {
+                console.error(`[scenarios] Skipping ${label}:\n  - ${errors.join('\n  - ')}`);
+                return;
+            }
+            seen.add(raw.id);
+            scenarios.push(normalizeScenario(raw, source));
+        });
+        return scenarios;
+    }
 
-            this.winbox = new WinBox({
-                title: '',
-                html: terminalHTML,
-                width: width,
-                height: height,
-                x: x,
-                y: y,
-                top: 0,
-                bottom: 0,
-                left: 0,
-                right: 0,
-                class: ['no-animation', 'no-header'],
-                background: 'transparent',
-                border: 0,
-                header: 0, // Hide default header
-                move: false, // We handle move ourselves via custom drag handler
-                resize: !this.isMobile, // Enable resize only on desktop
-                maximize: false,
-                minimize: false,
-                close: false
-            });
+    async function fetchScenarioFile(source) {
+        const response = await fetch(source, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        if (!data || data.version !== SCENARIO_FORMAT_VERSION) {
+            throw new Error(`unsupported format version ${JSON.stringify(data && data.version)} (expected ${SCENARIO_FORMAT_VERSION})`);
+        }
+        if (!Array.isArray(data.scenarios)) {
+            throw new Error('"scenarios" must be an array');
+        }
+        return data.scenarios;
+    }
 
-            // Make terminal header the drag handle (always set up, but respects dragEnabled)
-            this.setupDragHandler();
+    // asciicast v2: a JSON header line, then one [time, type, data] event per line.
+    // Only output ("o") events matter for playback.
+    function parseCast(text) {
+        const lines = text.split('\n').filter(line => line.trim() !== '');
+        const parseLine = (line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                throw new Error(`line ${i + 1} is not valid JSON`);
+            }
+        };
 
-            // Remove no-animation class after initial render
-            setTimeout(() => {
-                if (this.winbox && this.winbox.dom) {
-                    this.winbox.dom.classList.remove('no-animation');
-                    // Add float animation
-                    if (!this.isMobile) {
-                        this.winbox.dom.style.animation = 'terminalFloat 6s ease-in-out infinite';
-                    }
-                }
-            }, 100);
+        const header = parseLine(lines[0] || '', 0);
+        if (!header || header.version !== 2) {
+            throw new Error(`unsupported asciicast version ${JSON.stringify(header && header.version)} (expected 2)`);
+        }
+        if (!(Number.isInteger(header.width) && header.width > 0 && Number.isInteger(header.height) && header.height > 0)) {
+            throw new Error('header must have a positive width and height');
+        }
 
-            // Set up button handlers
-            this.setupButtons();
+        const events = [];
+        for (let i = 1; i < lines.length; i++) {
+            const event = parseLine(lines[i], i);
+            if (!Array.isArray(event) || !isNumber(event[0]) || typeof event[1] !== 'string' || typeof event[2] !== 'string') {
+                throw new Error(`line ${i + 1} is not a [time, type, data] event`);
+            }
+            if (event[1] === 'o') {
+                events.push({ time: event[0], data: event[2] });
+            }
+        }
+        if (events.length === 0) {
+            throw new Error('recording has no output events');
+        }
 
-            // Connect animator to new elements
-            this.connectAnimator();
+        return {
+            width: header.width,
+            height: header.height,
+            idleTimeLimit: isNumber(header.idle_time_limit) ? header.idle_time_limit : null,
+            events
+        };
+    }
 
-            // Hide reopen button
-            this.reopenBtn.style.display = 'none';
-            this.isClosed = false;
+    async function fetchRecording(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
         }
+        return parseCast(await response.text());
+    }
 
-        setupButtons() {
-            const closeBtn = this.winbox.body.querySelector('#btn-close');
-            const minimizeBtn = this.winbox.body.querySelector('#btn-minimize');
-            const maximizeBtn = this.winbox.body.querySelector('#btn-maximize');
+    // Fetch the recording behind every cast scenario up front, dropping the ones that won't play
+    async function loadRecordings(scenarios) {
+        const loaded = await Promise.all(scenarios.map(async scenario => {
+            if (!scenario.cast) return scenario;
+            try {
+                scenario.recording = await fetchRecording(scenario.cast);
+                return scenario;
+            } catch (err) {
+                console.error(`[scenarios] Skipping "${scenario.id}": could not load ${scenario.cast}: ${err.message}`);
+                return null;
+            }
+        }));
+        return loaded.filter(Boolean);
+    }
 
-            closeBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.close();
-            });
+    // Translations of a scenario file sit next to it: agent-demos.json -> agent-demos.sv.json
+    function localizedSource(source, locale) {
+        return source.replace(/(\.json)?$/, `.${locale}$1`);
+    }
 
-            minimizeBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.minimize();
+    // Swap in the translated version of each scenario that has one. A translation
+    // is a complete scenario with the same id; the rest stay in English.
+    async function localizeScenarios(scenarios, sources, locale) {
+        const files = await Promise.all(sources.map(source => {
+            const translated = localizedSource(source, locale);
+            return fetchScenarioFile(translated).catch(err => {
+                if (DEV_MODE) {
+                    console.warn(`[scenarios] No "${locale}" translations from ${translated}: ${err.message}`);
+                }
+                return [];
             });
+        }));
 
-            maximizeBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.toggleMaximize();
+        const translations = new Map();
+        files.forEach((entries, i) => {
+            collectScenarios(entries, localizedSource(sources[i], locale)).forEach(scenario => {
+                if (!scenarios.some(original => original.id === scenario.id)) {
+                    console.error(`[scenarios] Skipping translated "${scenario.id}": no scenario with that id to translate`);
+                    return;
+                }
+                translations.set(scenario.id, scenario);
             });
+        });
+
+        if (DEV_MODE) {
+            const untranslated = scenarios.filter(scenario => !translations.has(scenario.id));
+            if (untranslated.length > 0) {
+                console.warn(`[scenarios] ${untranslated.length} untranslated demo(s) in "${locale}", showing English: ${untranslated.map(scenario => scenario.id).join(', ')}`);
+            }
         }
+        return scenarios.map(scenario => translations.get(scenario.id) || scenario);
+    }
 
-        connectAnimator() {
-            const commandEl = this.winbox.body.querySelector('#terminal-command');
-            const outputEl = this.winbox.body.querySelector('#terminal-output');
-            const cursorEl = this.winbox.body.querySelector('#cursor');
+    // Load and merge every scenario file; fall back to the built-in set if nothing usable came back
+    async function loadScenarios(sources, locale = DEFAULT_LOCALE) {
+        const seen = new Set();
+        const files = await Promise.all(sources.map(source =>
+            fetchScenarioFile(source).catch(err => {
+                console.error(`[scenarios] Could not load ${source}: ${err.message}`);
+                return [];
+            })
+        ));
 
-            this.animator.setElements(commandEl, outputEl, cursorEl);
-            this.animator.resume();
+        let collected = [];
+        files.forEach((entries, i) => {
+            collected.push(...collectScenarios(entries, sources[i], seen));
+        });
+        if (locale !== DEFAULT_LOCALE && collected.length > 0) {
+            collected = await localizeScenarios(collected, sources, locale);
         }
+        const scenarios = await loadRecordings(collected);
 
-        setupReopenButton() {
-            this.reopenBtn.addEventListener('click', () => {
-                this.reopen();
-            });
+        if (scenarios.length === 0) {
+            console.warn('[scenarios] No valid scenarios loaded, using the built-in demos');
+            return collectScenarios(defaultScenarios, 'built-in');
         }
+        if (scenarios.every(scenario => scenario.weight === 0)) {
+            console.warn('[scenarios] Every scenario has weight 0, playing them all with equal weight');
+        }
+        return scenarios;
+    }
 
-        setupDragHandler() {
-            const terminalHeader = this.winbox.body.querySelector('.terminal-header');
-            if (!terminalHeader) return;
+    // Scenario files can be listed on the terminal container: data-scenarios="a.json b.json"
+    function scenarioSources(container) {
+        const attr = container && container.dataset.scenarios;
+        return attr ? attr.split(/[\s,]+/).filter(Boolean) : DEFAULT_SCENARIO_SOURCES;
+    }
 
-            // Get the WinBox DOM element
-            const winboxEl = this.winbox.body.parentElement;
-            if (!winboxEl) return;
+    // Smooth weighted round-robin: each scenario appears `weight` times per cycle, spread out
+    function buildPlaylist(scenarios) {
+        let weighted = scenarios.filter(scenario => scenario.weight > 0);
+        let weightOf = scenario => scenario.weight;
+        // All of them at 0 would leave the terminal blank; play each once per cycle instead
+        if (weighted.length === 0) {
+            weighted = scenarios;
+            weightOf = () => 1;
+        }
+        const total = weighted.reduce((sum, scenario) => sum + weightOf(scenario), 0);
+        const current = weighted.map(() => 0);
+        const playlist = [];
 
-            let isDragging = false;
-            let startX, startY;
-            let startLeft, startTop;
+        for (let slot = 0; slot < total; slot++) {
+            let best = 0;
+            weighted.forEach((scenario, i) => {
+                current[i] += weightOf(scenario);
+                if (current[i] > current[best]) best = i;
+            });
+            current[best] -= total;
+            playlist.push(weighted[best]);
+        }
+        return playlist;
+    }
 
-            const onMouseDown = (e) => {
-                // Don't drag if clicking on buttons
-                if (e.target.closest('.terminal-btn')) return;
-                // Only respond to left mouse button
-                if (e.button !== 0) return;
-                // Don't drag on mobile
-                if (!this.dragEnabled) return;
+    // ===================================
+    // Output Rendering
+    // ===================================
+    const SPINNER_FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+    const ANSI_PATTERN = /\x1b\[([0-9;?]*)([A-Za-z])/g;
 
-                isDragging = true;
-                startX = e.clientX;
-                startY = e.clientY;
+    // xterm's 256-colour palette above the 16 themable colours
+    function ansi256ToRgb(index) {
+        if (index >= 232) {
+            const level = 8 + (index - 232) * 10;
+            return `rgb(${level}, ${level}, ${level})`;
+        }
+        const cube = index - 16;
+        const steps = [0, 95, 135, 175, 215, 255];
+        return `rgb(${steps[Math.floor(cube / 36)]}, ${steps[Math.floor(cube / 6) % 6]}, ${steps[cube % 6]})`;
+    }
 
-                // Get current position from the element's style
-                startLeft = parseInt(winboxEl.style.left, 10) || 0;
-                startTop = parseInt(winboxEl.style.top, 10) || 0;
+    const isColorByte = value => Number.isInteger(value) && value >= 0 && value <= 255;
 
-                // Remove float animation when dragging starts
-                winboxEl.style.animation = 'none';
+    // Colours are either a palette index (0-15, styled by CSS) or a CSS colour string.
+    // Like a terminal, an index or channel out of 0-255, or a missing one, leaves the
+    // colour as it was; its parameters are still used up.
+    function parseExtendedColor(params, i) {
+        if (params[i + 1] === 5) {
+            const index = params[i + 2];
+            if (!isColorByte(index)) {
+                return { color: null, consumed: index === undefined ? 1 : 2 };
+            }
+            return { color: index < 16 ? index : ansi256ToRgb(index), consumed: 2 };
+        }
+        if (params[i + 1] === 2) {
+            const channels = params.slice(i + 2, i + 5);
+            if (channels.length < 3 || !channels.every(isColorByte)) {
+                return { color: null, consumed: 1 + channels.length };
+            }
+            return { color: `rgb(${channels.join(', ')})`, consumed: 4 };
+        }
+        return { color: null, consumed: 0 };
+    }
 
-                // Add dragging class for visual feedback
-                winboxEl.classList.add('dragging');
+    function applySgr(style, paramString) {
+        const params = paramString === '' ? [0] : paramString.split(';').map(Number);
+        const next = Object.assign({}, style);
 
-                document.addEventListener('mousemove', onMouseMove);
-                document.addEventListener('mouseup', onMouseUp);
+        for (let i = 0; i < params.length; i++) {
+            const code = params[i];
+            if (code === 0) {
+                Object.keys(next).forEach(key => delete next[key]);
+            } else if (code === 1) {
+                next.bold = true;
+            } else if (code === 2) {
+                next.dim = true;
+            } else if (code === 3) {
+                next.italic = true;
+            } else if (code === 4) {
+                next.underline = true;
+            } else if (code === 7) {
+                next.inverse = true;
+            } else if (code === 22) {
+                delete next.bold;
+                delete next.dim;
+            } else if (code === 23) {
+                delete next.italic;
+            } else if (code === 24) {
+                delete next.underline;
+            } else if (code === 27) {
+                delete next.inverse;
+            } else if (code >= 30 && code <= 37) {
+                next.fg = code - 30;
+            } else if (code >= 90 && code <= 97) {
+                next.fg = code - 90 + 8;
+            } else if (code >= 40 && code <= 47) {
+                next.bg = code - 40;
+            } else if (code >= 100 && code <= 107) {
+                next.bg = code - 100 + 8;
+            } else if (code === 39) {
+                delete next.fg;
+            } else if (code === 49) {
+                delete next.bg;
+            } else if (code === 38 || code === 48) {
+                const { color, consumed } = parseExtendedColor(params, i);
+                if (color !== null) {
+                    next[code === 38 ? 'fg' : 'bg'] = color;
+                }
+                i += consumed;
+            }
+        }
+        return next;
+    }
 
-                e.preventDefault();
-                e.stopPropagation();
-            };
+    // Split text into runs of { text, style }. Other escape sequences come back as
+    // { control, params } so callers that care (erase, cursor moves) can act on them.
+    function parseAnsi(text, initialStyle = {}) {
+        const segments = [];
+        let style = initialStyle;
+        let lastIndex = 0;
+        let match;
 
-            const onMouseMove = (e) => {
-                if (!isDragging) return;
+        ANSI_PATTERN.lastIndex = 0;
+        while ((match = ANSI_PATTERN.exec(text)) !== null) {
+            if (match.index > lastIndex) {
+                segments.push({ text: text.slice(lastIndex, match.index), style });
+            }
+            if (match[2] === 'm') {
+                style = applySgr(style, match[1]);
+            } else {
+                segments.push({ control: match[2], params: match[1], style });
+            }
+            lastIndex = ANSI_PATTERN.lastIndex;
+        }
+        if (lastIndex < text.length) {
+            segments.push({ text: text.slice(lastIndex), style });
+        }
+        return segments;
+    }
 
-                const deltaX = e.clientX - startX;
-                const deltaY = e.clientY - startY;
+    function stripAnsi(text) {
+        return text.replace(ANSI_PATTERN, '');
+    }
 
-                const newX = startLeft + deltaX;
-                const newY = startTop + deltaY;
+    function sameStyle(a, b) {
+        const keysA = Object.keys(a);
+        return keysA.length === Object.keys(b).length && keysA.every(key => a[key] === b[key]);
+    }
 
-                // Directly set CSS position
-                winboxEl.style.left = newX + 'px';
-                winboxEl.style.top = newY + 'px';
+    function createStyledSpan(text, style) {
+        const span = document.createElement('span');
+        span.textContent = text;
+        const fg = style.inverse ? style.bg : style.fg;
+        const bg = style.inverse ? style.fg : style.bg;
 
-                e.preventDefault();
-            };
+        if (style.bold) span.classList.add('ansi-bold');
+        if (style.dim) span.classList.add('ansi-dim');
+        if (style.italic) span.classList.add('ansi-italic');
+        if (style.underline) span.classList.add('ansi-underline');
+        if (style.cursor) span.classList.add('screen-cursor');
+        if (typeof fg === 'number') {
+            span.classList.add('ansi-fg-' + fg);
+        } else if (fg) {
+            span.style.color = fg;
+        }
+        if (typeof bg === 'number') {
+            span.classList.add('ansi-bg-' + bg);
+        } else if (bg) {
+            span.style.backgroundColor = bg;
+        }
+        return span;
+    }
 
-            const onMouseUp = (e) => {
-                if (!isDragging) return;
+    // Render a list of cells ({ char, style }) as the fewest spans possible
+    function renderCells(cells) {
+        const fragment = document.createDocumentFragment();
+        let run = '';
+        let runStyle = null;
 
-                isDragging = false;
-                winboxEl.classList.remove('dragging');
+        const flush = () => {
+            if (run === '') return;
+            fragment.appendChild(Object.keys(runStyle).length ? createStyledSpan(run, runStyle) : document.createTextNode(run));
+            run = '';
+        };
 
-                document.removeEventListener('mousemove', onMouseMove);
-                document.removeEventListener('mouseup', onMouseUp);
+        cells.forEach(cell => {
+            if (runStyle && !sameStyle(cell.style, runStyle)) {
+                flush();
+            }
+            runStyle = cell.style;
+            run += cell.char;
+        });
+        flush();
+        return fragment;
+    }
 
-                e.preventDefault();
-            };
+    // Apply text to a line of cells the way a terminal would: \r returns to column 0,
+    // later characters overwrite earlier ones and ESC[K erases to the end of the line
+    function writeCells(cells, text) {
+        let column = 0;
+        parseAnsi(text).forEach(segment => {
+            if (segment.control) {
+                if (segment.control === 'K') {
+                    cells.length = Math.min(cells.length, column);
+                }
+                return;
+            }
+            for (const char of segment.text) {
+                if (char === '\r') {
+                    column = 0;
+                    continue;
+                }
+                cells[column++] = { char, style: segment.style };
+            }
+        });
+        return cells;
+    }
+
+    function renderAnsi(text) {
+        return renderCells(writeCells([], text));
+    }
+
+    // CSI sequences, OSC strings (window titles and the like), charset selection and
+    // two-character escapes such as ESC 7 / ESC 8
+    const SCREEN_ESCAPE_PATTERN = /\x1b\[([0-9;?>=!]*)([@-~])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[()][0-9A-Za-z]|\x1b([0-9A-Za-z=>])/g;
+    // The start of an escape sequence cut off at the end of a chunk
+    const SCREEN_INCOMPLETE_ESCAPE = /\x1b(?:\[[0-9;?>=!]*|\][^\x07\x1b]*|[()])?$/;
+    const BLANK_CELL = { char: ' ', style: {} };
+
+    // Just enough of a VT100 to replay recorded sessions: a grid of cells with a
+    // cursor, wrapping and scrolling, cursor movement, and erasing.
+    class TerminalScreen {
+        constructor(width, height) {
+            this.width = width;
+            this.height = height;
+            this.reset();
+        }
+
+        reset() {
+            this.rows = Array.from({ length: this.height }, () => []);
+            this.x = 0;
+            this.y = 0;
+            this.saved = { x: 0, y: 0 };
+            this.style = {};
+            this.cursorVisible = true;
+            this.pending = '';
+        }
+
+        // Feed output to the screen. Returns the text of every line a newline finished.
+        write(data) {
+            let text = this.pending + data;
+            const tail = SCREEN_INCOMPLETE_ESCAPE.exec(text);
+            this.pending = tail ? tail[0] : '';
+            if (tail) {
+                text = text.slice(0, tail.index);
+            }
+
+            const finished = [];
+            let lastIndex = 0;
+            let match;
+            SCREEN_ESCAPE_PATTERN.lastIndex = 0;
+            while ((match = SCREEN_ESCAPE_PATTERN.exec(text)) !== null) {
+                this.print(text.slice(lastIndex, match.index), finished);
+                if (match[2]) {
+                    this.csi(match[2], match[1]);
+                } else if (match[3]) {
+                    this.escape(match[3]);
+                }
+                lastIndex = SCREEN_ESCAPE_PATTERN.lastIndex;
+            }
+            this.print(text.slice(lastIndex), finished);
+            return finished;
+        }
+
+        print(text, finished) {
+            for (const char of text) {
+                if (char === '\r') {
+                    this.x = 0;
+                } else if (char === '\n') {
+                    finished.push(this.rowText(this.y));
+                    this.lineFeed();
+                } else if (char === '\b') {
+                    this.x = Math.max(0, this.x - 1);
+                } else if (char === '\t') {
+                    this.x = Math.min(this.width - 1, (Math.floor(this.x / 8) + 1) * 8);
+                } else if (char >= ' ' && char !== '\x7f') {
+                    // Wrap only when the next character arrives, like a real terminal
+                    if (this.x >= this.width) {
+                        this.x = 0;
+                        this.lineFeed();
+                    }
+                    this.rows[this.y][this.x++] = { char, style: this.style };
+                }
+            }
+        }
+
+        lineFeed() {
+            if (this.y < this.height - 1) {
+                this.y++;
+            } else {
+                this.rows.shift();
+                this.rows.push([]);
+            }
+        }
+
+        moveTo(x, y) {
+            this.x = Math.max(0, Math.min(this.width - 1, x));
+            this.y = Math.max(0, Math.min(this.height - 1, y));
+        }
+
+        blank(count) {
+            return Array.from({ length: Math.max(0, count) }, () => BLANK_CELL);
+        }
+
+        csi(final, paramString) {
+            const isPrivate = /^[?>=!]/.test(paramString);
+            const params = paramString.replace(/^[?>=!]/, '').split(';').map(n => parseInt(n, 10) || 0);
+            const n = params[0] || 1;
+            const row = this.rows[this.y];
+
+            switch (final) {
+                case 'm':
+                    if (!isPrivate) this.style = applySgr(this.style, paramString);
+                    break;
+                case 'A': this.moveTo(this.x, this.y - n); break;
+                case 'B': this.moveTo(this.x, this.y + n); break;
+                case 'C': this.moveTo(this.x + n, this.y); break;
+                case 'D': this.moveTo(this.x - n, this.y); break;
+                case 'E': this.moveTo(0, this.y + n); break;
+                case 'F': this.moveTo(0, this.y - n); break;
+                case 'G': this.moveTo(n - 1, this.y); break;
+                case 'd': this.moveTo(this.x, n - 1); break;
+                case 'H':
+                case 'f':
+                    this.moveTo((params[1] || 1) - 1, n - 1);
+                    break;
+                case 'J':
+                    if (params[0] === 0) {
+                        row.length = Math.min(row.length, this.x);
+                        for (let y = this.y + 1; y < this.height; y++) this.rows[y] = [];
+                    } else if (params[0] === 1) {
+                        for (let y = 0; y < this.y; y++) this.rows[y] = [];
+                        row.splice(0, this.x + 1, ...this.blank(this.x + 1));
+                    } else {
+                        this.rows = Array.from({ length: this.height }, () => []);
+                    }
+                    break;
+                case 'K':
+                    if (params[0] === 0) {
+                        row.length = Math.min(row.length, this.x);
+                    } else if (params[0] === 1) {
+                        row.splice(0, this.x + 1, ...this.blank(this.x + 1));
+                    } else {
+                        this.rows[this.y] = [];
+                    }
+                    break;
+                case 'P': row.splice(this.x, n); break;
+                case '@':
+                    row.splice(this.x, 0, ...this.blank(n));
+                    row.length = Math.min(row.length, this.width);
+                    break;
+                case 'X': row.splice(this.x, n, ...this.blank(Math.min(n, this.width - this.x))); break;
+                case 's': this.saved = { x: this.x, y: this.y }; break;
+                case 'u': this.moveTo(this.saved.x, this.saved.y); break;
+                case 'h':
+                case 'l':
+                    if (paramString === '?25') {
+                        this.cursorVisible = final === 'h';
+                    } else if (paramString === '?1049' || paramString === '?47') {
+                        // Entering or leaving the alternate screen: start from a clean one
+                        this.rows = Array.from({ length: this.height }, () => []);
+                        this.moveTo(0, 0);
+                    }
+                    break;
+            }
+        }
+
+        escape(char) {
+            if (char === '7') {
+                this.saved = { x: this.x, y: this.y };
+            } else if (char === '8') {
+                this.moveTo(this.saved.x, this.saved.y);
+            } else if (char === 'M') {
+                // Reverse index: up a line, scrolling down at the top
+                if (this.y > 0) {
+                    this.y--;
+                } else {
+                    this.rows.pop();
+                    this.rows.unshift([]);
+                }
+            } else if (char === 'c') {
+                this.reset();
+            }
+        }
+
+        rowText(y) {
+            return Array.from(this.rows[y], cell => (cell || BLANK_CELL).char).join('').trimEnd();
+        }
+
+        // One element per row, down to the last row in use
+        render() {
+            const fragment = document.createDocumentFragment();
+            let last = this.y;
+            this.rows.forEach((row, y) => {
+                if (this.rowText(y) !== '') last = Math.max(last, y);
+            });
+
+            for (let y = 0; y <= last; y++) {
+                const cells = this.rows[y].slice();
+                if (this.cursorVisible && y === this.y) {
+                    const under = cells[this.x] || BLANK_CELL;
+                    cells[this.x] = { char: under.char, style: Object.assign({}, under.style, { cursor: true }) };
+                }
+                const line = document.createElement('div');
+                line.className = 'screen-line';
+                line.appendChild(renderCells(Array.from(cells, cell => cell || BLANK_CELL)));
+                fragment.appendChild(line);
+            }
+            return fragment;
+        }
+    }
+
+    // Tokens of a shell command line, for highlighting while it is typed
+    function highlightCommand(text) {
+        const fragment = document.createDocumentFragment();
+        const pattern = /(\s+)|("[^"]*"?|'[^']*'?)|(\S+)/g;
+        let isFirstWord = true;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const [token, space, quoted] = match;
+            if (space) {
+                fragment.appendChild(document.createTextNode(token));
+                continue;
+            }
+
+            let className = 'cmd-arg';
+            if (quoted) {
+                className = 'cmd-string';
+            } else if (isFirstWord) {
+                className = 'cmd-bin';
+            } else if (/^--?[\w-]/.test(token)) {
+                className = 'cmd-flag';
+            }
+            isFirstWord = false;
+
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = token;
+            fragment.appendChild(span);
+        }
+        return fragment;
+    }
+
+    function progressBar(fraction, width = 24) {
+        const filled = Math.round(fraction * width);
+        return '█'.repeat(filled) + '░'.repeat(width - filled);
+    }
+
+    // {{name}} is replaced by the variable's value; unknown names are left alone so they stand out
+    function substituteVariables(text, vars) {
+        return text.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : match);
+    }
+
+    // Unified diff lines coloured the way git does it
+    function diffRows(output) {
+        const rows = output.text ? [output.text] : [];
+        if (output.file) {
+            rows.push(`\x1b[1m--- a/${output.file}\x1b[22m`, `\x1b[1m+++ b/${output.file}\x1b[22m`);
+        }
+        output.lines.forEach(line => {
+            if (line.startsWith('@@')) {
+                rows.push(`\x1b[36m${line}\x1b[39m`);
+            } else if (line.startsWith('+')) {
+                rows.push(`\x1b[32m${line}\x1b[39m`);
+            } else if (line.startsWith('-')) {
+                rows.push(`\x1b[31m${line}\x1b[39m`);
+            } else {
+                rows.push(line);
+            }
+        });
+        return rows;
+    }
+
+    // Columns padded to their widest cell, with numeric columns aligned right
+    function tableRows(output) {
+        const width = (cell) => stripAnsi(cell).length;
+        const widths = output.columns.map((column, i) =>
+            Math.max(width(column), ...output.rows.map(row => width(row[i]))));
+        const numeric = output.columns.map((column, i) => output.rows.length > 0 &&
+            output.rows.every(row => /^[-+]?\d[\d.,\s]*%?$/.test(stripAnsi(row[i]))));
+        const format = (row) => row.map((cell, i) => {
+            const padding = ' '.repeat(widths[i] - width(cell));
+            return numeric[i] ? padding + cell : cell + padding;
+        }).join('  ').trimEnd();
+
+        const rows = output.text ? [output.text] : [];
+        rows.push(`\x1b[1m${format(output.columns)}\x1b[22m`);
+        rows.push(widths.map(w => '─'.repeat(w)).join('  '));
+        output.rows.forEach(row => rows.push(format(row)));
+        return rows;
+    }
+
+    // ===================================
+    // Animation Scheduler
+    // ===================================
+
+    // Where the scheduler gets its time from. Pass a fake clock with the same
+    // shape to drive the whole animation deterministically, e.g. in a headless test.
+    const realClock = {
+        now: () => performance.now(),
+        setTimeout: (fn, ms) => window.setTimeout(fn, ms),
+        clearTimeout: (id) => window.clearTimeout(id)
+    };
+
+    class CancelledError extends Error {
+        constructor() {
+            super('Animation cancelled');
+            this.name = 'CancelledError';
+        }
+    }
+
+    // Timers measured in animation time: they freeze on pause, stretch or shrink
+    // with the speed multiplier, and all reject at once on cancel. Holds freeze
+    // them too, but stack by reason and don't count as the visitor pausing.
+    class Scheduler {
+        constructor(clock = realClock) {
+            this.clock = clock;
+            this.speed = 1;
+            this.isPaused = false;
+            this.holds = new Set();
+            this.timers = new Set();
+        }
+
+        get isRunning() {
+            return !this.isPaused && this.holds.size === 0;
+        }
+
+        delay(ms) {
+            return new Promise((resolve, reject) => {
+                const timer = { remaining: Math.max(0, ms), resolve, reject, id: null, startedAt: 0 };
+                this.timers.add(timer);
+                if (this.isRunning) {
+                    this.arm(timer);
+                }
+            });
+        }
+
+        arm(timer) {
+            timer.startedAt = this.clock.now();
+            timer.id = this.clock.setTimeout(() => {
+                this.timers.delete(timer);
+                timer.resolve();
+            }, timer.remaining / this.speed);
+        }
+
+        disarm(timer) {
+            this.clock.clearTimeout(timer.id);
+            timer.id = null;
+            const elapsed = (this.clock.now() - timer.startedAt) * this.speed;
+            timer.remaining = Math.max(0, timer.remaining - elapsed);
+        }
+
+        // Apply a change to the paused/held state, arming or disarming timers if
+        // that starts or stops the clock
+        transition(change) {
+            const wasRunning = this.isRunning;
+            change();
+            if (wasRunning && !this.isRunning) {
+                this.timers.forEach(timer => this.disarm(timer));
+            } else if (!wasRunning && this.isRunning) {
+                this.timers.forEach(timer => this.arm(timer));
+            }
+        }
+
+        pause() {
+            this.transition(() => {
+                this.isPaused = true;
+            });
+        }
+
+        resume() {
+            this.transition(() => {
+                this.isPaused = false;
+            });
+        }
+
+        hold(reason) {
+            this.transition(() => this.holds.add(reason));
+        }
+
+        release(reason) {
+            this.transition(() => this.holds.delete(reason));
+        }
+
+        setSpeed(multiplier) {
+            if (!(multiplier > 0) || !Number.isFinite(multiplier)) {
+                throw new RangeError('Speed must be a positive number');
+            }
+            const running = this.isRunning;
+            if (running) {
+                this.timers.forEach(timer => this.disarm(timer));
+            }
+            this.speed = multiplier;
+            if (running) {
+                this.timers.forEach(timer => this.arm(timer));
+            }
+        }
+
+        // What is waiting right now, for debugging
+        describeTimers() {
+            return Array.from(this.timers).map(timer => {
+                const elapsed = timer.id !== null ? (this.clock.now() - timer.startedAt) * this.speed : 0;
+                return { remaining: Math.round(Math.max(0, timer.remaining - elapsed)), armed: timer.id !== null };
+            });
+        }
+
+        cancel() {
+            const timers = Array.from(this.timers);
+            this.timers.clear();
+            timers.forEach(timer => {
+                this.clock.clearTimeout(timer.id);
+                timer.reject(new CancelledError());
+            });
+        }
+    }
+
+    class Emitter {
+        constructor() {
+            this.listeners = new Map();
+        }
+
+        on(type, listener) {
+            if (!this.listeners.has(type)) {
+                this.listeners.set(type, new Set());
+            }
+            this.listeners.get(type).add(listener);
+            return () => this.off(type, listener);
+        }
+
+        off(type, listener) {
+            const listeners = this.listeners.get(type);
+            if (listeners) {
+                listeners.delete(listener);
+            }
+        }
+
+        emit(type, detail) {
+            const listeners = this.listeners.get(type);
+            if (!listeners) return;
+            Array.from(listeners).forEach(listener => listener(detail));
+        }
+    }
+
+    // ===================================
+    // Terminal Animation Engine
+    // ===================================
+
+    // A scenario plays as numbered steps: step 0 types the command, step N prints
+    // outputs[N - 1]. A prompt's answer splices its branch in right after it, so
+    // later step numbers depend on the answers given. A recorded session sets up
+    // its screen in step 0 and applies event N - 1 in step N. Events:
+    // sequencestart, linerendered, promptstart, sequenceend, statechange and speedchange.
+    class TerminalAnimator extends Emitter {
+        constructor(options = {}) {
+            super();
+            this.scheduler = new Scheduler(options.clock);
+            this.commandEl = null;
+            this.outputEl = null;
+            this.cursorEl = null;
+            this.scenarios = [];
+            this.playlist = [];
+            this.currentSequence = 0;
+            this.currentStep = 0;
+            this.pinnedId = null;
+            this.isAutoplay = false;
+            this.runId = 0;
+            // Print whole lines instead of typing and spinning
+            this.reducedMotion = false;
+            // When the current suspension began; null while nothing holds the animation
+            this.suspendedAt = null;
+            // Screen of the recording being played, if any
+            this.screen = null;
+            this.screenEl = null;
+            // Outputs still to come in this run, with the branches taken so far spliced in
+            this.plan = [];
+            // Scenario variables plus the answers given so far
+            this.vars = {};
+            // The prompt waiting for an answer, if any: { handleKey(key), answer(value) }
+            this.prompt = null;
+        }
+
+        get isPaused() {
+            return this.scheduler.isPaused;
+        }
+
+        get isSuspended() {
+            return this.scheduler.holds.size > 0;
+        }
+
+        get state() {
+            if (!this.isAutoplay) return 'stopped';
+            return this.isPaused ? 'paused' : 'playing';
+        }
+
+        get currentScenario() {
+            return this.playlist[this.currentSequence] || null;
+        }
+
+        setElements(commandEl, outputEl, cursorEl) {
+            this.commandEl = commandEl;
+            this.outputEl = outputEl;
+            this.cursorEl = cursorEl;
+        }
+
+        setScenarios(scenarios) {
+            this.scenarios = scenarios;
+            this.refreshPlaylist();
+        }
+
+        // Loop a single scenario instead of the whole rotation (null to undo)
+        pin(scenarioId) {
+            this.pinnedId = scenarioId;
+            this.refreshPlaylist();
+        }
+
+        refreshPlaylist() {
+            const pinned = this.pinnedId && this.findScenario(this.pinnedId);
+            this.playlist = pinned ? [pinned] : buildPlaylist(this.scenarios);
+            this.currentSequence = 0;
+            if (this.isAutoplay) {
+                this.jump(0, 0);
+            }
+        }
+
+        findScenario(id) {
+            return this.scenarios.find(scenario => scenario.id === id) || null;
+        }
+
+        delay(ms) {
+            return this.scheduler.delay(ms);
+        }
+
+        // Start (or continue) the autoplay rotation
+        play() {
+            this.scheduler.resume();
+            if (!this.isAutoplay) {
+                this.isAutoplay = true;
+                this.jump(this.currentSequence, 0);
+            }
+            this.emitState();
+        }
+
+        // Freeze whatever is playing; takes effect immediately
+        pause() {
+            this.scheduler.pause();
+            this.emitState();
+        }
+
+        // Unfreeze without starting autoplay (e.g. a shell demo that was minimized)
+        resume() {
+            this.scheduler.resume();
+            this.emitState();
+        }
+
+        // Hold everything for a reason of the page's own (offscreen, hidden tab).
+        // Unlike pause() it isn't the visitor's doing, and reasons can overlap.
+        suspend(reason) {
+            if (!this.isSuspended) {
+                this.suspendedAt = this.scheduler.clock.now();
+            }
+            this.scheduler.hold(reason);
+        }
+
+        unsuspend(reason) {
+            if (!this.scheduler.holds.has(reason)) return;
+            this.scheduler.release(reason);
+            if (this.isSuspended || this.suspendedAt === null) return;
+            // Nobody remembers a half-typed command from a while ago; start it over
+            const away = this.scheduler.clock.now() - this.suspendedAt;
+            this.suspendedAt = null;
+            if (away >= SUSPEND_RESTART_AFTER && this.isAutoplay && !this.isPaused) {
+                this.restart();
+            }
+        }
+
+        // End autoplay altogether
+        stop() {
+            this.isAutoplay = false;
+            this.cancel();
+            this.emitState();
+        }
+
+        // Make `index` in the playlist the current scenario, restarting it if playing
+        select(index) {
+            if (!Number.isInteger(index) || index < 0 || index >= this.playlist.length) return false;
+            this.jump(index, 0);
+            return true;
+        }
+
+        skip() {
+            this.jump(this.currentSequence + 1, 0);
+        }
+
+        previous() {
+            this.jump(this.currentSequence - 1, 0);
+        }
+
+        restart() {
+            this.jump(this.currentSequence, 0);
+        }
+
+        // Render everything before `step` instantly, then animate from there
+        seek(step) {
+            this.jump(this.currentSequence, step);
+        }
+
+        setSpeed(multiplier) {
+            this.scheduler.setSpeed(multiplier);
+            this.emit('speedchange', { speed: multiplier });
+        }
+
+        emitState() {
+            this.emit('statechange', { state: this.state });
+        }
+
+        cancel() {
+            this.runId++;
+            this.scheduler.cancel();
+        }
+
+        jump(index, step) {
+            this.cancel();
+            const length = this.playlist.length;
+            this.currentSequence = length ? ((index % length) + length) % length : 0;
+            if (this.isAutoplay && length) {
+                this.runLoop(step);
+            }
+        }
+
+        async runLoop(fromStep = 0) {
+            const runId = this.runId;
+            try {
+                while (runId === this.runId && this.commandEl && this.outputEl) {
+                    await this.runSequence(this.currentScenario, { fromStep, index: this.currentSequence });
+                    // A jump from a listener has already picked what plays next
+                    if (runId !== this.runId) break;
+                    fromStep = 0;
+                    this.currentSequence = (this.currentSequence + 1) % this.playlist.length;
+                }
+            } catch (err) {
+                if (!(err instanceof CancelledError)) throw err;
+            }
+        }
+
+        // Play a single scenario into the given elements, without the hold at the end
+        async replay(scenario, commandEl, outputEl) {
+            this.cancel();
+            this.setElements(commandEl, outputEl, null);
+            try {
+                await this.runSequence(scenario, { hold: 0, index: null });
+            } catch (err) {
+                if (!(err instanceof CancelledError)) throw err;
+            }
+        }
+
+        async runSequence(scenario, { fromStep = 0, hold = scenario.hold, index = null } = {}) {
+            // Listeners can cancel or jump mid-run; bail out as soon as they have
+            const runId = this.runId;
+            const checkRun = () => {
+                if (runId !== this.runId) throw new CancelledError();
+            };
+
+            // Clear previous output
+            this.outputEl.innerHTML = '';
+            this.commandEl.textContent = '';
+
+            // Show cursor
+            if (this.cursorEl) {
+                this.cursorEl.style.display = 'inline';
+            }
+            // Recordings bring their own prompt
+            this.commandEl.parentElement.style.display = scenario.recording ? 'none' : '';
+
+            this.plan = scenario.recording ? [] : scenario.outputs.slice();
+            this.vars = Object.assign({}, scenario.vars);
+            this.emit('sequencestart', { scenario, index, fromStep });
+            checkRun();
+            // Prompts can add steps as they go
+            const steps = () => (scenario.recording ? scenario.recording.events.length : this.plan.length) + 1;
+            let step = 0;
+            for (; step < steps(); step++) {
+                this.currentStep = step;
+                await this.renderStep(scenario, step, step < fromStep);
+                checkRun();
+            }
+            this.currentStep = step;
+            this.emit('sequenceend', { scenario, index });
+            checkRun();
+
+            // Pause before next sequence
+            await this.delay(hold);
+            checkRun();
+        }
+
+        async renderStep(scenario, step, instant) {
+            if (scenario.recording) {
+                return this.renderRecordingStep(scenario, step, instant);
+            }
+            if (step === 0) {
+                const command = substituteVariables(scenario.command, this.vars);
+                if (instant || this.reducedMotion) {
+                    this.commandEl.replaceChildren(highlightCommand(command));
+                } else {
+                    await this.typeCommand(this.commandEl, command, scenario.typingSpeed);
+                }
+                if (!instant) {
+                    // Small pause after command
+                    await this.delay(400);
+                }
+                this.emit('linerendered', { scenario, step, element: this.commandEl, text: command });
+                return;
+            }
+
+            const output = this.resolveOutput(this.plan[step - 1]);
+            if (!instant) {
+                await this.delay(output.delay);
+            }
+            if (PROMPT_TYPES.includes(output.type)) {
+                const { line, answer } = await this.playPrompt(scenario, step, output, instant);
+                if (output.var) {
+                    this.vars[output.var] = answer;
+                }
+                const branch = output.branches[answer];
+                if (branch) {
+                    this.plan.splice(step, 0, ...branch);
+                }
+                this.emit('linerendered', { scenario, step, element: line, text: line.textContent });
+                return;
+            }
+            const lines = [].concat(await this.renderOutput(output, instant || this.reducedMotion));
+            lines.forEach(line => {
+                this.emit('linerendered', { scenario, step, element: line, text: line.textContent });
+            });
+        }
+
+        // A copy of `output` with {{variables}} filled in from the scenario and earlier answers
+        resolveOutput(output) {
+            const fill = (text) => substituteVariables(text, this.vars);
+            return Object.assign({}, output, {
+                text: fill(output.text),
+                doneText: output.doneText !== undefined ? fill(output.doneText) : undefined,
+                file: output.file !== undefined ? fill(output.file) : undefined,
+                lines: output.lines && output.lines.map(fill),
+                columns: output.columns && output.columns.map(fill),
+                rows: output.rows && output.rows.map(row => row.map(fill)),
+                default: output.type === 'input' ? fill(output.default) : output.default
+            });
+        }
+
+        // Keys typed into the terminal while a prompt waits; true if the prompt used it
+        handlePromptKey(e) {
+            if (!this.prompt || e.ctrlKey || e.altKey || e.metaKey) return false;
+            const handled = this.prompt.handleKey(e.key);
+            if (handled) {
+                e.preventDefault();
+            }
+            return handled;
+        }
+
+        // Ask the visitor and resolve with { line, answer }. Nobody answering before
+        // the timeout, or an instant render, takes the default, so autoplay never stalls.
+        async playPrompt(scenario, step, output, instant) {
+            const line = this.addOutputLine(output.text + ' ', output.class);
+            line.classList.add('prompt-line');
+            const answerEl = document.createElement('span');
+            answerEl.className = 'prompt-answer';
+            const timeoutEl = document.createElement('span');
+            timeoutEl.className = 'prompt-timeout';
+
+            // Confirm and choice answers can also be clicked
+            const option = (label, answer, className, tag = 'span') => {
+                const element = document.createElement(tag);
+                element.className = className;
+                element.dataset.answer = answer;
+                element.textContent = label;
+                element.addEventListener('click', (e) => {
+                    if (!this.prompt) return;
+                    e.stopPropagation();
+                    this.prompt.answer(answer);
+                });
+                return element;
+            };
+
+            let choiceEls = [];
+            let selected = 0;
+            let typed = '';
+            let cursor = null;
+            let handleKey;
+            if (output.type === 'confirm') {
+                const yes = output.default === 'yes';
+                line.append('[', option(yes ? 'Y' : 'y', 'yes', 'prompt-option'), '/',
+                    option(yes ? 'n' : 'N', 'no', 'prompt-option'), '] ', answerEl, timeoutEl);
+                handleKey = (key, settle) => {
+                    if (key === 'y' || key === 'Y') return settle('yes');
+                    if (key === 'n' || key === 'N') return settle('no');
+                    if (key === 'Enter') return settle(output.default);
+                    return false;
+                };
+            } else if (output.type === 'choice') {
+                line.append(answerEl, timeoutEl);
+                selected = output.choices.indexOf(output.default);
+                choiceEls = output.choices.map((choice, i) => {
+                    const row = option(`  ${i + 1}) ${choice}`, choice, 'output-line prompt-choice', 'div');
+                    this.outputEl.appendChild(row);
+                    return row;
+                });
+                const highlight = () => choiceEls.forEach((row, i) => row.classList.toggle('active', i === selected));
+                highlight();
+                handleKey = (key, settle) => {
+                    const count = output.choices.length;
+                    if (key === 'ArrowDown' || key === 'ArrowUp') {
+                        selected = (selected + (key === 'ArrowDown' ? 1 : -1) + count) % count;
+                        highlight();
+                        return true;
+                    }
+                    if (/^[1-9]$/.test(key) && Number(key) <= count) return settle(output.choices[Number(key) - 1]);
+                    if (key === 'Enter') return settle(output.choices[selected]);
+                    return false;
+                };
+            } else {
+                cursor = document.createElement('span');
+                cursor.className = 'cursor';
+                cursor.textContent = '|';
+                answerEl.dataset.placeholder = output.default;
+                line.append(answerEl, cursor, timeoutEl);
+                handleKey = (key, settle) => {
+                    if (key === 'Enter') return settle(typed || output.default);
+                    if (key === 'Backspace') {
+                        typed = typed.slice(0, -1);
+                    } else if (key.length === 1) {
+                        typed += key;
+                    } else {
+                        return false;
+                    }
+                    answerEl.textContent = typed;
+                    answerEl.classList.toggle('empty', typed === '');
+                    return true;
+                };
+                answerEl.classList.add('empty');
+            }
+
+            let answer = output.default;
+            if (!instant) {
+                this.emit('promptstart', {
+                    scenario,
+                    step,
+                    prompt: output,
+                    text: [line.textContent].concat(choiceEls.map(row => row.textContent.trim())).join(' ')
+                });
+                answer = await this.waitForAnswer(output.timeout, handleKey, timeoutEl);
+                // Left to time out, a free-text answer still gets typed in like a person would
+                if (answer === null && output.type === 'input') {
+                    answerEl.classList.remove('empty');
+                    for (const char of output.default) {
+                        answerEl.textContent += char;
+                        await this.delay(scenario.typingSpeed);
+                    }
+                }
+                if (answer === null) {
+                    answer = output.default;
+                }
+            }
+
+            timeoutEl.remove();
+            choiceEls.forEach(row => row.remove());
+            if (cursor) cursor.remove();
+            answerEl.classList.remove('empty');
+            answerEl.textContent = output.type === 'confirm' ? answer.charAt(0) : answer;
+            return { line, answer };
+        }
+
+        // Resolves with the answer handleKey settles on, or null once `timeout` has
+        // run down. The countdown runs on the scheduler, so pausing freezes it too.
+        async waitForAnswer(timeout, handleKey, timeoutEl) {
+            let settle;
+            const answered = new Promise(resolve => {
+                settle = (value) => {
+                    resolve(value);
+                    return true;
+                };
+            });
+            let done = false;
+            const countdown = (async () => {
+                let remaining = timeout;
+                while (remaining > 0 && !done) {
+                    timeoutEl.textContent = ` (${Math.ceil(remaining / 1000)}s)`;
+                    const wait = remaining % 1000 || 1000;
+                    await this.delay(wait);
+                    remaining -= wait;
+                }
+                return null;
+            })();
+
+            this.prompt = {
+                handleKey: (key) => handleKey(key, settle),
+                answer: settle
+            };
+            try {
+                return await Promise.race([answered, countdown]);
+            } finally {
+                done = true;
+                this.prompt = null;
+                // A countdown still ticking when the run is cancelled has nobody to tell
+                countdown.catch(() => {});
+            }
+        }
+
+        async renderRecordingStep(scenario, step, instant) {
+            const { width, height, events } = scenario.recording;
+            if (step === 0) {
+                this.screen = new TerminalScreen(width, height);
+                this.screenEl = document.createElement('div');
+                this.screenEl.className = 'terminal-screen';
+                this.outputEl.appendChild(this.screenEl);
+                return;
+            }
+
+            const event = events[step - 1];
+            const isLast = step === events.length;
+            // With reduced motion, keystrokes pile up until a whole line is ready
+            const deferred = instant || (this.reducedMotion && !event.data.includes('\n') && !isLast);
+            if (!deferred) {
+                await this.delay(this.recordingDelay(scenario, step));
+            }
+            const lines = this.screen.write(event.data);
+            if (!deferred || isLast) {
+                this.screenEl.replaceChildren(this.screen.render());
+            }
+            lines.forEach(text => {
+                this.emit('linerendered', { scenario, step, element: this.screenEl, text });
+            });
+        }
+
+        // Time since the previous event, with long pauses cut down to the idle limit
+        recordingDelay(scenario, step) {
+            const { events, idleTimeLimit } = scenario.recording;
+            const limit = scenario.idleTimeLimit || idleTimeLimit || Infinity;
+            const previous = step > 1 ? events[step - 2].time : 0;
+            const seconds = Math.min(Math.max(0, events[step - 1].time - previous), limit);
+            return seconds * 1000 / scenario.speed;
+        }
+
+        async typeCommand(element, text, speed = 50) {
+            element.textContent = '';
+            for (let i = 0; i < text.length; i++) {
+                element.replaceChildren(highlightCommand(text.slice(0, i + 1)));
+                await this.delay(speed);
+            }
+        }
+
+        addOutputLine(text, className = '') {
+            const line = document.createElement('div');
+            line.className = 'output-line' + (className ? ' ' + className : '');
+            line.appendChild(renderAnsi(text));
+            this.outputEl.appendChild(line);
+            return line;
+        }
+
+        // Widgets jump straight to their final frame when rendered instantly
+        async renderOutput(output, instant = false) {
+            if (output.type === 'spinner') {
+                return this.playSpinner(output, instant);
+            }
+            if (output.type === 'progress') {
+                return this.playProgress(output, instant);
+            }
+            if (output.type === 'diff') {
+                return this.playRows(output, diffRows(output), instant);
+            }
+            if (output.type === 'table') {
+                return this.playRows(output, tableRows(output), instant);
+            }
+            if (output.text.includes('\r')) {
+                return this.playOverwrite(output, instant);
+            }
+            return this.addOutputLine(output.text, output.class);
+        }
+
+        // Diffs and tables print a row at a time; resolves with every row's line
+        async playRows(output, rows, instant) {
+            const lines = [];
+            for (let i = 0; i < rows.length; i++) {
+                if (!instant && i > 0) {
+                    await this.delay(output.lineDelay);
+                }
+                lines.push(this.addOutputLine(rows[i], output.class));
+            }
+            return lines;
+        }
+
+        async playSpinner(output, instant) {
+            const line = this.addOutputLine('', output.class);
+            const interval = 80;
+            const frames = instant ? 0 : Math.max(1, Math.round(output.duration / interval));
+
+            for (let i = 0; i < frames; i++) {
+                const frame = document.createElement('span');
+                frame.className = 'spinner-frame';
+                frame.textContent = SPINNER_FRAMES[i % SPINNER_FRAMES.length];
+                line.replaceChildren(frame, renderAnsi(' ' + output.text));
+                await this.delay(interval);
+            }
+            line.replaceChildren(renderAnsi(output.doneText || '\x1b[32m✓\x1b[39m ' + output.text));
+            return line;
+        }
+
+        async playProgress(output, instant) {
+            const line = this.addOutputLine('', output.class);
+            const interval = 50;
+            const steps = instant ? 0 : Math.max(1, Math.round(output.duration / interval));
+
+            for (let i = 0; i <= steps; i++) {
+                const fraction = steps ? i / steps : 1;
+                const bar = document.createElement('span');
+                bar.className = 'progress-bar';
+                bar.textContent = progressBar(fraction);
+                const count = output.total
+                    ? `${Math.round(fraction * output.total).toLocaleString('en-US')}/${output.total.toLocaleString('en-US')}`
+                    : `${Math.round(fraction * 100)}%`;
+
+                line.replaceChildren(renderAnsi(output.text + ' '), bar, document.createTextNode(' ' + count));
+                if (i < steps) {
+                    await this.delay(interval);
+                }
+            }
+            if (output.doneText) {
+                line.replaceChildren(renderAnsi(output.doneText));
+            }
+            return line;
+        }
+
+        // Each \r in the text starts a new frame that overwrites the line from column 0
+        async playOverwrite(output, instant) {
+            const line = this.addOutputLine('', output.class);
+            const frames = output.text.split('\r');
+            const cells = [];
+
+            for (let i = 0; i < frames.length; i++) {
+                writeCells(cells, frames[i]);
+                if (!instant || i === frames.length - 1) {
+                    line.replaceChildren(renderCells(cells));
+                }
+                if (!instant && i < frames.length - 1) {
+                    await this.delay(output.frameDelay);
+                }
+            }
+            return line;
+        }
+    }
+
+    // ===================================
+    // Interactive Shell
+    // ===================================
+    function tokenizeCommandLine(line) {
+        const tokens = [];
+        const pattern = /"([^"]*)"?|'([^']*)'?|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(line)) !== null) {
+            tokens.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+        }
+        return tokens;
+    }
+
+    function commonPrefix(words) {
+        if (words.length === 0) return '';
+        let prefix = words[0];
+        for (const word of words) {
+            while (!word.startsWith(prefix)) {
+                prefix = prefix.slice(0, -1);
+            }
+        }
+        return prefix;
+    }
+
+    class TerminalShell {
+        constructor(animator) {
+            this.animator = animator;
+            this.commands = new Map();
+            this.history = [];
+            this.historyIndex = 0;
+            this.draft = '';
+            this.isActive = false;
+            this.isBusy = false;
+            this.contentEl = null;
+            this.scrollEl = null;
+            this.scrollbackEl = null;
+            this.inputLineEl = null;
+            this.inputEl = null;
+            this.savedNodes = [];
+            this.autoplayElements = null;
+
+            registerBuiltinCommands(this);
+        }
+
+        // Commands are { description, usage?, run(args, shell), complete?(args) }
+        register(name, command) {
+            this.commands.set(name, command);
+        }
+
+        attach(contentEl, scrollEl) {
+            this.contentEl = contentEl;
+            this.scrollEl = scrollEl || contentEl;
+            this.isActive = false;
+
+            // Focusable while a command runs, so Ctrl+C still reaches us
+            this.contentEl.tabIndex = -1;
+            this.contentEl.addEventListener('keydown', (e) => this.handleBusyKeydown(e));
+        }
+
+        enter(options = {}) {
+            if (!this.contentEl) return;
+            if (this.isActive) {
+                this.focus();
+                return;
+            }
+
+            // Stop autoplay and keep the demo markup around for when we exit
+            this.autoplayElements = {
+                commandEl: this.animator.commandEl,
+                outputEl: this.animator.outputEl,
+                cursorEl: this.animator.cursorEl
+            };
+            this.animator.stop();
+            this.savedNodes = Array.from(this.contentEl.childNodes);
+            this.contentEl.innerHTML = '';
+            this.contentEl.classList.add('interactive');
+            this.isActive = true;
+
+            this.scrollbackEl = document.createElement('div');
+            this.scrollbackEl.className = 'terminal-scrollback';
+            this.scrollbackEl.setAttribute('role', 'log');
+            this.scrollbackEl.setAttribute('aria-live', 'polite');
+
+            this.inputLineEl = document.createElement('div');
+            this.inputLineEl.className = 'terminal-line terminal-input-line';
+            this.inputLineEl.innerHTML = `
+                <span class="prompt">$</span>
+                <input class="terminal-input" type="text" spellcheck="false" autocomplete="off"
+                       autocapitalize="off" aria-label="Terminal command">
+            `;
+            this.inputEl = this.inputLineEl.querySelector('.terminal-input');
+            this.inputEl.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+            this.contentEl.appendChild(this.scrollbackEl);
+            this.contentEl.appendChild(this.inputLineEl);
+
+            this.print('chetech-agent interactive shell', 'info');
+            this.print("Type 'help' to list commands, 'exit' to resume the demo.");
+            if (options.focus !== false) {
+                this.focus();
+            }
+        }
+
+        exit() {
+            if (!this.isActive) return;
+            this.animator.stop();
+            this.isActive = false;
+            this.isBusy = false;
+            this.contentEl.classList.remove('interactive');
+            this.contentEl.replaceChildren(...this.savedNodes);
+            this.scrollbackEl = null;
+            this.inputLineEl = null;
+            this.inputEl = null;
+
+            const { commandEl, outputEl, cursorEl } = this.autoplayElements;
+            this.animator.setElements(commandEl, outputEl, cursorEl);
+            this.animator.play();
+        }
+
+        focus() {
+            if (!this.isActive) return;
+            if (this.isBusy) {
+                this.contentEl.focus({ preventScroll: true });
+            } else if (this.inputEl) {
+                this.inputEl.focus({ preventScroll: true });
+            }
+        }
+
+        print(text = '', className = '') {
+            if (!this.scrollbackEl) return;
+            const line = document.createElement('div');
+            line.className = 'output-line' + (className ? ' ' + className : '');
+            // Commands that need markup (links, highlights) pass nodes instead of text
+            if (text instanceof Node) {
+                line.appendChild(text);
+            } else {
+                line.textContent = text;
+            }
+            this.scrollbackEl.appendChild(line);
+            this.scrollToBottom();
+            return line;
+        }
+
+        clear() {
+            if (this.scrollbackEl) {
+                this.scrollbackEl.innerHTML = '';
+            }
+        }
+
+        scrollToBottom() {
+            this.scrollEl.scrollTop = this.scrollEl.scrollHeight;
+        }
+
+        echo(line) {
+            const echoLine = document.createElement('div');
+            echoLine.className = 'terminal-line';
+            echoLine.innerHTML = '<span class="prompt">$</span><span class="command"></span>';
+            echoLine.querySelector('.command').appendChild(highlightCommand(line));
+            this.scrollbackEl.appendChild(echoLine);
+            return echoLine;
+        }
+
+        setBusy(isBusy) {
+            this.isBusy = isBusy;
+            this.inputLineEl.hidden = isBusy;
+            this.focus();
+        }
+
+        async execute(line) {
+            this.echo(line);
+            const trimmed = line.trim();
+            if (trimmed && this.history[this.history.length - 1] !== trimmed) {
+                this.history.push(trimmed);
+            }
+            this.historyIndex = this.history.length;
+            this.draft = '';
+
+            const [name, ...args] = tokenizeCommandLine(trimmed);
+            if (!name) {
+                this.scrollToBottom();
+                return;
+            }
+
+            const command = this.commands.get(name);
+            if (!command) {
+                this.print(`${name}: command not found. Type 'help' for a list of commands.`, 'error');
+                return;
+            }
+
+            this.setBusy(true);
+            try {
+                await command.run(args, this);
+            } catch (err) {
+                this.print(`${name}: ${err.message}`, 'error');
+            } finally {
+                // The command may have left interactive mode (e.g. `exit`)
+                if (this.isActive) {
+                    this.setBusy(false);
+                    this.scrollToBottom();
+                }
+            }
+        }
+
+        // Replay one of the scripted sequences inside the scrollback
+        async playSequence(sequence) {
+            const commandLine = this.echo('');
+            const outputEl = document.createElement('div');
+            outputEl.className = 'terminal-output';
+            this.scrollbackEl.appendChild(outputEl);
+
+            const observer = new MutationObserver(() => this.scrollToBottom());
+            observer.observe(commandLine, { childList: true, subtree: true, characterData: true });
+            observer.observe(outputEl, { childList: true });
+
+            await this.animator.replay(sequence, commandLine.querySelector('.command'), outputEl);
+            observer.disconnect();
+        }
+
+        interrupt() {
+            this.animator.stop();
+            this.print('^C');
+        }
+
+        handleBusyKeydown(e) {
+            if (!this.isBusy) return;
+            if (e.ctrlKey && e.key === 'c') {
+                e.preventDefault();
+                this.interrupt();
+                return;
+            }
+            // A demo played with `demo` may be asking something
+            this.animator.handlePromptKey(e);
+        }
+
+        handleKeydown(e) {
+            const input = this.inputEl;
+
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                const line = input.value;
+                input.value = '';
+                this.execute(line);
+                return;
+            }
+
+            if (e.key === 'Tab') {
+                e.preventDefault();
+                this.complete();
+                return;
+            }
+
+            if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.navigateHistory(-1);
+                return;
+            }
+
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.navigateHistory(1);
+                return;
+            }
+
+            if (!e.ctrlKey || e.altKey || e.metaKey) return;
+
+            // Readline-style editing shortcuts
+            const caret = input.selectionStart;
+            switch (e.key) {
+                case 'a':
+                    input.setSelectionRange(0, 0);
+                    break;
+                case 'e':
+                    input.setSelectionRange(input.value.length, input.value.length);
+                    break;
+                case 'u':
+                    input.value = input.value.slice(caret);
+                    input.setSelectionRange(0, 0);
+                    break;
+                case 'k':
+                    input.value = input.value.slice(0, caret);
+                    break;
+                case 'w': {
+                    const before = input.value.slice(0, caret).replace(/\S+\s*$/, '');
+                    input.value = before + input.value.slice(caret);
+                    input.setSelectionRange(before.length, before.length);
+                    break;
+                }
+                case 'c':
+                    // Leave copy alone when there is a selection to copy
+                    if (input.selectionStart !== input.selectionEnd) return;
+                    this.echo(input.value + '^C');
+                    input.value = '';
+                    this.historyIndex = this.history.length;
+                    this.scrollToBottom();
+                    break;
+                case 'l':
+                    this.clear();
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        }
+
+        navigateHistory(direction) {
+            if (this.history.length === 0) return;
+            if (this.historyIndex === this.history.length) {
+                this.draft = this.inputEl.value;
+            }
+
+            const index = Math.min(Math.max(this.historyIndex + direction, 0), this.history.length);
+            if (index === this.historyIndex) return;
+            this.historyIndex = index;
+
+            const value = index === this.history.length ? this.draft : this.history[index];
+            this.inputEl.value = value;
+            this.inputEl.setSelectionRange(value.length, value.length);
+        }
+
+        complete() {
+            const input = this.inputEl;
+            const beforeCaret = input.value.slice(0, input.selectionStart);
+            const afterCaret = input.value.slice(input.selectionStart);
+            const tokens = tokenizeCommandLine(beforeCaret);
+            if (/\s$/.test(beforeCaret) || tokens.length === 0) {
+                tokens.push('');
+            }
+
+            const partial = tokens[tokens.length - 1];
+            let candidates;
+            if (tokens.length === 1) {
+                candidates = Array.from(this.commands.keys());
+            } else {
+                const command = this.commands.get(tokens[0]);
+                candidates = command && command.complete ? command.complete(tokens.slice(1, -1)) : [];
+            }
+
+            const matches = candidates.filter(candidate => candidate.startsWith(partial)).sort();
+            if (matches.length === 0) return;
+
+            const base = beforeCaret.slice(0, beforeCaret.length - partial.length);
+            let completed;
+            if (matches.length === 1) {
+                completed = base + matches[0] + ' ';
+            } else {
+                const prefix = commonPrefix(matches);
+                if (prefix.length === partial.length) {
+                    // Nothing more to fill in: show the options instead
+                    this.echo(input.value);
+                    this.print(matches.join('  '));
+                    return;
+                }
+                completed = base + prefix;
+            }
+
+            input.value = completed + afterCaret;
+            input.setSelectionRange(completed.length, completed.length);
+        }
+    }
+
+    // ===================================
+    // Built-in Shell Commands
+    // ===================================
+    function textOf(root, selector) {
+        const el = root.querySelector(selector);
+        return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    function registerBuiltinCommands(shell) {
+        shell.register('help', {
+            description: 'List available commands',
+            run(args, sh) {
+                const names = Array.from(sh.commands.keys());
+                const width = Math.max(...names.map(name => (name + ' ' + (sh.commands.get(name).usage || '')).length));
+                names.forEach(name => {
+                    const command = sh.commands.get(name);
+                    const signature = (name + ' ' + (command.usage || '')).trim();
+                    sh.print(signature.padEnd(width + 2) + command.description);
+                });
+            }
+        });
+
+        shell.register('about', {
+            description: 'Who is behind Chetech',
+            run(args, sh) {
+                sh.print(`${textOf(document, '.hero-title')}, ${textOf(document, '.hero-subtitle')}`, 'info');
+                sh.print(textOf(document, '.about-lead'));
+            }
+        });
+
+        shell.register('services', {
+            description: 'What I can help with',
+            run(args, sh) {
+                document.querySelectorAll('.service-card').forEach(card => {
+                    sh.print('> ' + textOf(card, 'h3'), 'info');
+                    const features = Array.from(card.querySelectorAll('.service-features li'))
+                        .map(item => item.textContent.trim());
+                    if (features.length) {
+                        sh.print('  ' + features.join(' · '));
+                    }
+                });
+            }
+        });
+
+        shell.register('experience', {
+            description: 'Career timeline',
+            run(args, sh) {
+                document.querySelectorAll('.timeline-item').forEach(item => {
+                    sh.print(`${textOf(item, '.timeline-date')}  ${textOf(item, 'h3')}`, 'info');
+                    sh.print('  ' + textOf(item, '.timeline-role'));
+                });
+            }
+        });
+
+        shell.register('contact', {
+            description: 'How to get in touch',
+            run(args, sh) {
+                document.querySelectorAll('.contact-method').forEach(link => {
+                    const label = link.textContent.trim();
+                    const href = link.getAttribute('href').replace(/^mailto:/, '');
+                    sh.print(label === href ? label : `${label}: ${href}`);
+                });
+            }
+        });
+
+        shell.register('demo', {
+            usage: '<name>',
+            description: 'Replay one of the agent demos',
+            complete(args) {
+                return args.length === 0 ? shell.animator.scenarios.map(scenario => scenario.id) : [];
+            },
+            async run(args, sh) {
+                const scenarios = sh.animator.scenarios;
+                const ids = scenarios.map(scenario => scenario.id);
+                if (args.length === 0) {
+                    sh.print('Usage: demo <name>');
+                    const width = Math.max(...ids.map(id => id.length));
+                    scenarios.forEach(scenario => sh.print(`  ${scenario.id.padEnd(width + 2)}${scenario.title}`));
+                    return;
+                }
+                const sequence = sh.animator.findScenario(args[0]);
+                if (!sequence) {
+                    sh.print(`demo: unknown demo '${args[0]}'. Available: ${ids.join(', ')}`, 'warning');
+                    return;
+                }
+                await sh.playSequence(sequence);
+            }
+        });
+
+        shell.register('chetech-agent', {
+            usage: '--rag "<question>"',
+            description: 'Ask this page a question, answered offline',
+            complete(args) {
+                return args.length === 0 ? ['--rag'] : [];
+            },
+            run(args, sh) {
+                const question = args.slice(1).join(' ').trim();
+                if (args[0] !== '--rag' || !question) {
+                    sh.print('Usage: chetech-agent --rag "<question>"');
+                    sh.print('  Searches the text of this page with an index built in your browser. Nothing is sent anywhere.', 'muted');
+                    return;
+                }
+                const results = siteIndex.search(question);
+                sh.print(`> Local index: ${siteIndex.passages.length} passages, ${siteIndex.vocabularySize} terms, ` +
+                    `BM25 + ${SEARCH_DIMENSIONS}-dim hashed vectors (built in ${Math.round(siteIndex.buildTime)} ms)`, 'muted');
+                if (results.length === 0) {
+                    sh.print(`> Nothing on this page matches "${question}"`, 'warning');
+                    return;
+                }
+                sh.print(`> Best ${results.length === 1 ? 'match' : results.length + ' matches'} for "${question}":`, 'info');
+                results.forEach((result, i) => {
+                    sh.print(`${i + 1}. [${result.score.toFixed(2)}] ${result.passage.label}`, 'success');
+                    sh.print(passageSnippet(result.passage.text, result.terms), 'rag-passage');
+                    sh.print(passageLink(result.passage));
+                });
+            }
+        });
+
+        shell.register('theme', {
+            usage: '[light|dark|system|<scheme>]',
+            description: 'Switch the page theme or the terminal colors',
+            complete(args) {
+                return args.length === 0 ? THEMES.concat('system', TERMINAL_SCHEMES.map(scheme => scheme.id)) : [];
+            },
+            run(args, sh) {
+                if (args.length === 0) {
+                    sh.print(`Page theme: ${themes.theme}${themes.followsSystem ? ' (following the system)' : ''}`);
+                    const width = Math.max(...TERMINAL_SCHEMES.map(scheme => scheme.id.length));
+                    TERMINAL_SCHEMES.forEach(scheme => {
+                        const mark = scheme.id === themes.scheme ? '*' : ' ';
+                        sh.print(`${mark} ${scheme.id.padEnd(width + 2)}${scheme.name}`, scheme.id === themes.scheme ? 'info' : undefined);
+                    });
+                    return;
+                }
+                const choice = args[0];
+                if (choice === 'system') {
+                    themes.setTheme(null);
+                } else if (THEMES.includes(choice)) {
+                    themes.setTheme(choice);
+                } else if (TERMINAL_SCHEMES.some(scheme => scheme.id === choice)) {
+                    themes.setScheme(choice);
+                } else {
+                    sh.print(`theme: unknown theme or scheme '${choice}'`, 'error');
+                }
+            }
+        });
+
+        shell.register('history', {
+            description: 'Show previously entered commands',
+            run(args, sh) {
+                sh.history.forEach((line, i) => sh.print(`${String(i + 1).padStart(4)}  ${line}`));
+            }
+        });
+
+        shell.register('clear', {
+            description: 'Clear the terminal',
+            run(args, sh) {
+                sh.clear();
+            }
+        });
+
+        shell.register('exit', {
+            description: 'Leave the shell and resume the demo',
+            run(args, sh) {
+                sh.exit();
+            }
+        });
+    }
+
+    // ===================================
+    // Session Export
+    // ===================================
+    const EXPORT_FORMATS = ['svg', 'text', 'markdown'];
+    const EXPORT_MAX_TICKS = 20000;
+    const EXPORT_FINAL_HOLD = 4000;
+
+    // Hands out timers but never waits: tick() jumps straight to the next one.
+    // Lets a sequence be recorded in a blink while keeping its real timing.
+    class VirtualClock {
+        constructor() {
+            this.time = 0;
+            this.queue = [];
+            this.nextId = 1;
+        }
+
+        now() {
+            return this.time;
+        }
+
+        setTimeout(fn, ms) {
+            const id = this.nextId++;
+            this.queue.push({ id, fn, at: this.time + ms });
+            return id;
+        }
+
+        clearTimeout(id) {
+            this.queue = this.queue.filter(timer => timer.id !== id);
+        }
+
+        // Fire the earliest timer; false once nothing is waiting
+        tick() {
+            if (this.queue.length === 0) return false;
+            this.queue.sort((a, b) => a.at - b.at);
+            const timer = this.queue.shift();
+            this.time = timer.at;
+            timer.fn();
+            return true;
+        }
+    }
+
+    const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    // Play a scenario off screen inside `stageParent` (so the page's CSS applies) and
+    // keep a snapshot of every distinct frame: { frames: [{ time, rows }], duration }
+    async function recordSession(scenario, stageParent) {
+        const stage = document.createElement('div');
+        stage.className = 'terminal-content terminal-export-stage';
+        stage.setAttribute('aria-hidden', 'true');
+        stage.innerHTML = `
+            <div class="terminal-line">
+                <span class="prompt">$</span>
+                <span class="command"></span>
+            </div>
+            <div class="terminal-output"></div>
+        `;
+        stageParent.appendChild(stage);
+
+        const clock = new VirtualClock();
+        const animator = new TerminalAnimator({ clock });
+        const styles = new Map();
+        const frames = [];
+        const capture = () => {
+            const rows = snapshotRows(stage, styles);
+            const last = frames[frames.length - 1];
+            if (last && JSON.stringify(last.rows) === JSON.stringify(rows)) return;
+            if (last && last.time === clock.now()) {
+                frames.pop();
+            }
+            frames.push({ time: clock.now(), rows });
+        };
+
+        try {
+            let finished = false;
+            const playing = animator.replay(scenario, stage.querySelector('.command'), stage.querySelector('.terminal-output'))
+                .then(() => { finished = true; });
+            await nextTask();
+            capture();
+            for (let ticks = 0; !finished && ticks < EXPORT_MAX_TICKS; ticks++) {
+                if (!clock.tick()) break;
+                await nextTask();
+                capture();
+            }
+            animator.stop();
+            await playing;
+        } finally {
+            stage.remove();
+        }
+
+        return { frames, duration: clock.now() + Math.min(scenario.hold, EXPORT_FINAL_HOLD) };
+    }
+
+    // Each visible row of the stage as runs of { text, style }, with the colours and
+    // weights the browser actually computed for them
+    function snapshotRows(stage, styles) {
+        const rowEls = [];
+        const commandLine = stage.querySelector('.terminal-line');
+        if (commandLine.style.display !== 'none') {
+            rowEls.push(commandLine);
+        }
+        const screen = stage.querySelector('.terminal-screen');
+        rowEls.push(...(screen ? screen.children : stage.querySelector('.terminal-output').children));
+
+        return rowEls.map(rowEl => {
+            const runs = [];
+            const walker = document.createTreeWalker(rowEl, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                const node = walker.currentNode;
+                // Skip the whitespace between the prompt and command spans
+                if (node.parentElement === rowEl && node.data.trim() === '' && rowEl === commandLine) continue;
+                const text = node.parentElement.classList.contains('prompt') ? node.data + ' ' : node.data;
+                runs.push({ text, style: computedRunStyle(node.parentElement, styles) });
+            }
+            return runs;
+        });
+    }
+
+    function computedRunStyle(element, cache) {
+        // Classes and inline colours along the way up decide the look; cache on those
+        let key = '';
+        for (let el = element; el && !el.classList.contains('terminal-export-stage'); el = el.parentElement) {
+            key += el.className + '|' + el.style.cssText + '/';
+        }
+        if (!cache.has(key)) {
+            const computed = getComputedStyle(element);
+            // Rows fade in as they're added, so an animated opacity is only ever a moment of that
+            const animated = !!computed.animationName && computed.animationName !== 'none';
+            const opacity = parseFloat(computed.opacity);
+            cache.set(key, {
+                color: computed.color,
+                background: computed.backgroundColor,
+                bold: parseInt(computed.fontWeight, 10) >= 600 || computed.fontWeight === 'bold',
+                italic: computed.fontStyle === 'italic',
+                underline: computed.textDecorationLine === 'underline' || /underline/.test(computed.textDecoration),
+                opacity: animated || Number.isNaN(opacity) ? 1 : opacity
+            });
+        }
+        return cache.get(key);
+    }
+
+    function escapeXml(text) {
+        return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    }
+
+    function isTransparent(color) {
+        return !color || color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+    }
+
+    // A self-contained SVG of the window playing the session on a loop. All frames
+    // are stacked in one strip that a stepped CSS animation slides past the viewport.
+    function renderSessionSvg(session, { title, typography }) {
+        const { fontFamily, fontSize, lineHeight, color, background, headerBackground, titleColor } = typography;
+        const charWidth = fontSize * 0.6;
+        const padding = 16;
+        const headerHeight = 36;
+        const columns = Math.max(40, ...session.frames.map(frame =>
+            Math.max(0, ...frame.rows.map(runs => runs.reduce((sum, run) => sum + run.text.length, 0)))));
+        const lines = Math.max(1, ...session.frames.map(frame => frame.rows.length));
+        const width = Math.ceil(columns * charWidth + padding * 2);
+        const bodyHeight = Math.ceil(lines * lineHeight + padding * 2);
+        const height = headerHeight + bodyHeight;
+
+        const frameMarkup = session.frames.map((frame, i) => {
+            const rows = frame.rows.map((runs, row) => {
+                const y = padding + row * lineHeight;
+                const baseline = y + lineHeight / 2;
+                let column = 0;
+                let backgrounds = '';
+                const spans = runs.map(run => {
+                    const x = padding + column * charWidth;
+                    column += run.text.length;
+                    const { style } = run;
+                    if (!isTransparent(style.background)) {
+                        backgrounds += `<rect x="${x}" y="${y}" width="${run.text.length * charWidth}" height="${lineHeight}" fill="${style.background}"/>`;
+                    }
+                    const attrs = [`fill="${style.color}"`];
+                    if (style.bold) attrs.push('font-weight="bold"');
+                    if (style.italic) attrs.push('font-style="italic"');
+                    if (style.underline) attrs.push('text-decoration="underline"');
+                    if (style.opacity < 1) attrs.push(`fill-opacity="${style.opacity}"`);
+                    return `<tspan x="${x}" ${attrs.join(' ')}>${escapeXml(run.text)}</tspan>`;
+                }).join('');
+                return `${backgrounds}<text y="${baseline}" dominant-baseline="central">${spans}</text>`;
+            }).join('');
+            return `<g transform="translate(0 ${i * bodyHeight})">${rows}</g>`;
+        }).join('\n');
+
+        // Keyframe for the moment each frame comes into view
+        const total = session.duration || 1;
+        const keyframes = session.frames.map((frame, i) =>
+            `${(frame.time / total * 100).toFixed(3)}% { transform: translateY(${-i * bodyHeight}px); }`
+        ).join('\n    ');
+        const dots = ['#FF5F56', '#FFBD2E', '#27C93F'].map((fill, i) =>
+            `<circle cx="${20 + i * 20}" cy="${headerHeight / 2}" r="6" fill="${fill}"/>`).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<style>
+    @keyframes play {
+    ${keyframes}
+    }
+    .frames { animation: play ${(total / 1000).toFixed(3)}s step-end infinite; }
+    text { font-family: ${escapeXml(fontFamily)}; font-size: ${fontSize}px; white-space: pre; }
+</style>
+<rect width="${width}" height="${height}" rx="12" fill="${background}"/>
+<path d="M0 12a12 12 0 0 1 12-12h${width - 24}a12 12 0 0 1 12 12v${headerHeight - 12}h-${width}z" fill="${headerBackground}"/>
+${dots}
+<text x="${width / 2}" y="${headerHeight / 2}" dominant-baseline="central" text-anchor="middle" fill="${titleColor}" style="font-size: ${Math.round(fontSize * 0.93)}px">${escapeXml(title)}</text>
+<svg x="0" y="${headerHeight}" width="${width}" height="${bodyHeight}" fill="${color}">
+<g class="frames">
+${frameMarkup}
+</g>
+</svg>
+</svg>
+`;
+    }
+
+    // What the terminal shows once the session has finished, as plain text
+    function textTranscript(session) {
+        const last = session.frames[session.frames.length - 1];
+        const lines = last.rows.map(runs => runs.map(run => run.text).join('').trimEnd());
+        while (lines.length && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    function markdownTranscript(session, title) {
+        return `**${title}**\n\n\`\`\`console\n${textTranscript(session)}\`\`\`\n`;
+    }
+
+    function downloadFile(filename, type, content) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Clipboard access needs a secure context and permission; save a file otherwise
+    async function copyOrDownload(text, filename, type) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return 'Copied to clipboard';
+        } catch (err) {
+            downloadFile(filename, type, text);
+            return `Saved ${filename}`;
+        }
+    }
+
+    // ===================================
+    // Terminal State Persistence
+    // ===================================
+    const TERMINAL_STATE_KEY = 'chetech.terminal';
+    const TERMINAL_STATE_VERSION = 1;
+    const WINDOW_MODES = ['normal', 'minimized', 'maximized', 'snapped-left', 'snapped-right', 'closed'];
+
+    // Only the hero window is remembered. Anything that doesn't match this shape
+    // exactly is thrown away rather than half-applied.
+    function isValidTerminalState(state) {
+        if (!state || typeof state !== 'object' || state.version !== TERMINAL_STATE_VERSION) {
+            return false;
+        }
+        const geometry = state.geometry;
+        if (geometry !== null && !(geometry && ['left', 'top', 'width', 'height'].every(key => isNumber(geometry[key])))) {
+            return false;
+        }
+        return WINDOW_MODES.includes(state.mode) &&
+            Number.isInteger(state.scenarioIndex) && state.scenarioIndex >= 0 &&
+            typeof state.autoplay === 'boolean' &&
+            typeof state.autoReopen === 'boolean';
+    }
+
+    function readTerminalState() {
+        let raw;
+        try {
+            raw = localStorage.getItem(TERMINAL_STATE_KEY);
+        } catch (err) {
+            // Storage can be blocked altogether
+            return null;
+        }
+        if (raw === null) return null;
+
+        try {
+            const state = JSON.parse(raw);
+            if (isValidTerminalState(state)) {
+                return state;
+            }
+        } catch (err) {
+            // Not JSON; dropped below
+        }
+
+        console.warn('[terminal] Ignoring unreadable saved window state');
+        try {
+            localStorage.removeItem(TERMINAL_STATE_KEY);
+        } catch (err) {
+            // Nothing more we can do
+        }
+        return null;
+    }
+
+    function writeTerminalState(state) {
+        try {
+            localStorage.setItem(TERMINAL_STATE_KEY, JSON.stringify(Object.assign({ version: TERMINAL_STATE_VERSION }, state)));
+        } catch (err) {
+            // Private browsing or a full quota; the state just won't survive a reload
+        }
+    }
+
+    function registerWindowCommands(shell, terminalWindow) {
+        const subcommands = ['new', 'list', 'tile', 'cascade'];
+        const usage = '<new [demo]|list|tile|cascade>';
+
+        shell.register('autoplay', {
+            usage: '[on|off]',
+            description: 'Play demos automatically on page load',
+            complete(args) {
+                return args.length === 0 ? ['on', 'off'] : [];
+            },
+            run(args, sh) {
+                const primary = terminalWindow.manager.primary;
+                if (args[0] === 'on' || args[0] === 'off') {
+                    primary.setPreference('autoplay', args[0] === 'on');
+                } else if (args.length > 0) {
+                    sh.print('Usage: autoplay [on|off]');
+                    return;
+                }
+                sh.print(`Autoplay is ${primary.preferences.autoplay ? 'on' : 'off'}` +
+                    (primary.preferences.autoplay ? '' : '; the terminal will open in this shell next time.'));
+            }
+        });
+
+        shell.register('export', {
+            usage: '<svg|text|markdown> [demo]',
+            description: 'Save a demo as an animated SVG or copy its transcript',
+            complete(args) {
+                if (args.length === 0) return EXPORT_FORMATS;
+                if (args.length === 1) return shell.animator.scenarios.map(scenario => scenario.id);
+                return [];
+            },
+            async run(args, sh) {
+                const [format, id] = args;
+                if (!EXPORT_FORMATS.includes(format)) {
+                    sh.print('Usage: export <svg|text|markdown> [demo]');
+                    return;
+                }
+                const scenario = id ? sh.animator.findScenario(id) : terminalWindow.lastScenario;
+                if (!scenario) {
+                    sh.print(id ? `export: unknown demo '${id}'` : 'export: nothing has played yet; name a demo', 'warning');
+                    return;
+                }
+                sh.print(await terminalWindow.exportSession(format, scenario));
+            }
+        });
+
+        shell.register('window', {
+            usage,
+            description: 'Open and arrange terminal windows',
+            complete(args) {
+                if (args.length === 0) return subcommands;
+                if (args.length === 1 && args[0] === 'new') {
+                    return terminalWindow.manager.scenarios.map(scenario => scenario.id);
+                }
+                return [];
+            },
+            run(args, sh) {
+                const manager = terminalWindow.manager;
+                switch (args[0]) {
+                    case 'new': {
+                        if (args[1] && !sh.animator.findScenario(args[1])) {
+                            sh.print(`window: unknown demo '${args[1]}'`, 'warning');
+                            return;
+                        }
+                        const win = manager.openScenario(args[1]);
+                        if (win) {
+                            sh.print(`Opened window ${win.id}: ${win.title}`);
+                        }
+                        return;
+                    }
+                    case 'list':
+                        manager.windows.forEach(win => {
+                            const state = win.isClosed ? 'closed' : win.isMinimized ? 'minimized' : 'open';
+                            const marker = win === terminalWindow ? '*' : ' ';
+                            sh.print(`${marker} ${String(win.id).padStart(2)}  ${state.padEnd(10)}${win.title}`);
+                        });
+                        return;
+                    case 'tile':
+                    case 'cascade':
+                        manager[args[0]]();
+                        return;
+                    default:
+                        sh.print('Usage: window ' + usage);
+                }
+            }
+        });
+    }
+
+    // ===================================
+    // Power Management
+    // ===================================
+    // Back from a longer suspension, a sequence starts over instead of carrying on mid-word
+    const SUSPEND_RESTART_AFTER = 30000;
+    // Below this charge, and not plugged in, counts as the device asking us to go easy
+    const LOW_BATTERY_LEVEL = 0.2;
+
+    // Calls back with true while the browser hints that we should save power or
+    // data: a low, discharging battery, Save-Data or prefers-reduced-data. Hints
+    // a browser doesn't offer simply never fire.
+    function watchPowerSaving(callback) {
+        const hints = { battery: false, data: false };
+        let saving = false;
+        const update = () => {
+            const next = hints.battery || hints.data;
+            if (next !== saving) {
+                saving = next;
+                callback(saving);
+            }
+        };
+
+        const connection = navigator.connection;
+        const dataQuery = window.matchMedia('(prefers-reduced-data: reduce)');
+        const checkData = () => {
+            hints.data = !!(connection && connection.saveData) || dataQuery.matches;
+            update();
+        };
+        if (connection && connection.addEventListener) {
+            connection.addEventListener('change', checkData);
+        }
+        // Older Safari only has the MediaQueryList listener API
+        if (dataQuery.addEventListener) {
+            dataQuery.addEventListener('change', checkData);
+        } else if (dataQuery.addListener) {
+            dataQuery.addListener(checkData);
+        }
+        checkData();
+
+        if (navigator.getBattery) {
+            navigator.getBattery().then(battery => {
+                const checkBattery = () => {
+                    hints.battery = !battery.charging && battery.level <= LOW_BATTERY_LEVEL;
+                    update();
+                };
+                battery.addEventListener('levelchange', checkBattery);
+                battery.addEventListener('chargingchange', checkBattery);
+                checkBattery();
+            }).catch(() => {
+                // Battery status can be blocked by permissions policy
+            });
+        }
+    }
+
+    // window.chetechDebug, in dev mode only: what every terminal is waiting on and
+    // why it is suspended. timers() prints a table and returns the details.
+    function installDebugApi(windowManager) {
+        const report = () => windowManager.windows.map(win => ({
+            window: win.id,
+            title: win.title,
+            state: win.animator.state,
+            suspended: Array.from(win.animator.scheduler.holds),
+            timers: win.animator.scheduler.describeTimers()
+        }));
+
+        window.chetechDebug = {
+            timers() {
+                const rows = report();
+                console.table(rows.map(row => ({
+                    window: row.window,
+                    title: row.title,
+                    state: row.state,
+                    suspended: row.suspended.join(', ') || '-',
+                    timers: row.timers.length,
+                    armed: row.timers.filter(timer => timer.armed).length,
+                    next: row.timers.length ? Math.min(...row.timers.map(timer => timer.remaining)) + ' ms' : '-'
+                })));
+                return rows;
+            },
+            powerSaving: () => windowManager.powerSaving,
+            analytics: () => analyticsPanel.toggle()
+        };
+    }
+
+    // ===================================
+    // Window Layer
+    // ===================================
+    const LITE_MIN_WIDTH = 240;
+    const LITE_MIN_HEIGHT = 160;
+    // Starts where WinBox starts, so the two can share a page
+    let liteZIndex = 10;
+
+    // The part of WinBox the terminal uses: a positioned box with a .wb-body,
+    // hide/show/close, focus stacking and resize handles. The terminal draws
+    // its own header and does its own dragging, maximizing and snapping.
+    class LiteWindow {
+        constructor(options) {
+            this.options = options;
+            this.element = document.createElement('div');
+            this.element.className = ['winbox', 'lite-window', ...(options.class || [])].join(' ');
+            this.body = document.createElement('div');
+            this.body.className = 'wb-body';
+            this.body.innerHTML = options.html || '';
+            this.element.appendChild(this.body);
+
+            if (options.resize) {
+                ['e', 's', 'se'].forEach(edge => this.addResizeHandle(edge));
+            }
+
+            const width = options.width;
+            const x = options.x === 'center' ? Math.max(0, (window.innerWidth - width) / 2) : options.x;
+            Object.assign(this.element.style, {
+                left: x + 'px',
+                top: options.y + 'px',
+                width: width + 'px',
+                height: options.height + 'px'
+            });
+
+            this.element.addEventListener('pointerdown', () => this.focus());
+            this.element.addEventListener('focusin', () => this.focus());
+            (options.root || document.body).appendChild(this.element);
+            this.focus();
+        }
+
+        focus() {
+            if (this.element.classList.contains('focus')) return this;
+            document.querySelectorAll('.winbox.focus').forEach(el => el.classList.remove('focus'));
+            this.element.classList.add('focus');
+            this.element.style.zIndex = ++liteZIndex;
+            if (this.options.onfocus) this.options.onfocus.call(this);
+            return this;
+        }
+
+        hide() {
+            this.element.classList.add('hide');
+            return this;
+        }
+
+        show() {
+            this.element.classList.remove('hide');
+            return this;
+        }
+
+        close() {
+            this.element.remove();
+        }
+
+        addResizeHandle(edge) {
+            const handle = document.createElement('div');
+            handle.className = 'wb-' + edge;
+            this.element.appendChild(handle);
+
+            handle.addEventListener('pointerdown', (e) => {
+                if (e.button !== 0) return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.focus();
+                handle.setPointerCapture(e.pointerId);
+                const startX = e.clientX;
+                const startY = e.clientY;
+                const startWidth = this.element.offsetWidth;
+                const startHeight = this.element.offsetHeight;
+
+                const onMove = (moveEvent) => {
+                    const width = edge.includes('e')
+                        ? Math.max(LITE_MIN_WIDTH, startWidth + moveEvent.clientX - startX)
+                        : startWidth;
+                    const height = edge.includes('s')
+                        ? Math.max(LITE_MIN_HEIGHT, startHeight + moveEvent.clientY - startY)
+                        : startHeight;
+                    this.element.style.width = width + 'px';
+                    this.element.style.height = height + 'px';
+                    if (this.options.onresize) this.options.onresize.call(this, width, height);
+                };
+                const onUp = () => {
+                    handle.removeEventListener('pointermove', onMove);
+                    handle.removeEventListener('pointerup', onUp);
+                    handle.removeEventListener('pointercancel', onUp);
+                };
+                handle.addEventListener('pointermove', onMove);
+                handle.addEventListener('pointerup', onUp);
+                handle.addEventListener('pointercancel', onUp);
+            });
+        }
+    }
+
+    // How long the hero waits for WinBox before settling for the built-in window
+    const WINBOX_WAIT = 3000;
+    // Decided once by windowLayerReady(), so a late WinBox doesn't mix layers
+    let useWinBox = false;
+
+    // WinBox comes from a CDN as an async script. Resolves once it has loaded,
+    // failed (the tag records which in data-status) or taken longer than WINBOX_WAIT.
+    function windowLayerReady() {
+        const script = document.getElementById('winbox-script');
+        const settle = () => {
+            useWinBox = typeof window.WinBox === 'function';
+        };
+        if (!script || script.dataset.status || typeof window.WinBox === 'function') {
+            settle();
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timeout);
+                settle();
+                resolve();
+            };
+            const timeout = setTimeout(() => {
+                console.warn(`[terminal] WinBox hasn't loaded after ${WINBOX_WAIT} ms, using the built-in window`);
+                done();
+            }, WINBOX_WAIT);
+            script.addEventListener('load', done, { once: true });
+            script.addEventListener('error', done, { once: true });
+        });
+    }
+
+    // WinBox when it loaded in time, the built-in window otherwise. Either can
+    // fail; the caller falls back to a static terminal if both do.
+    function createWindowLayer(options) {
+        if (useWinBox) {
+            try {
+                return new window.WinBox(options);
+            } catch (err) {
+                console.error(`[terminal] WinBox failed, using the built-in window: ${err.message}`);
+            }
+        }
+        return new LiteWindow(options);
+    }
+
+    const STATIC_TERMINAL_HTML = `
+        <div class="terminal-header">
+            <div class="terminal-buttons" aria-hidden="true">
+                <span class="terminal-btn red"></span>
+                <span class="terminal-btn yellow"></span>
+                <span class="terminal-btn green"></span>
+            </div>
+            <div class="terminal-title">chetech-agent</div>
+        </div>
+        <div class="terminal-body">
+            <div class="terminal-content">
+                <div class="terminal-line">
+                    <span class="prompt">$</span>
+                    <span class="command"></span>
+                </div>
+                <div class="terminal-output"></div>
+            </div>
+        </div>
+    `;
+
+    // The last resort when no window can be created: one demo's finished output,
+    // drawn into the hero as a plain element. Nothing moves and nothing can break.
+    class StaticTerminal {
+        constructor(container) {
+            this.element = document.createElement('div');
+            this.element.className = 'hero-terminal terminal-static';
+            this.element.innerHTML = STATIC_TERMINAL_HTML;
+            container.appendChild(this.element);
+            this.animator = new TerminalAnimator();
+            this.animator.reducedMotion = true;
+            this.animator.setElements(
+                this.element.querySelector('.command'),
+                this.element.querySelector('.terminal-output'),
+                null
+            );
+        }
+
+        show(scenarios) {
+            const scenario = scenarios.find(candidate => candidate.weight > 0) || scenarios[0];
+            if (!scenario) return;
+            // Every step before Infinity renders instantly; no hold afterwards
+            this.animator.cancel();
+            this.animator.runSequence(scenario, { fromStep: Infinity, hold: 0 }).catch(err => {
+                if (!(err instanceof CancelledError)) {
+                    console.error(`[terminal] Could not draw the static terminal: ${err.message}`);
+                }
+            });
+        }
+    }
+
+    // ===================================
+    // Terminal Window
+    // ===================================
+    const TERMINAL_HTML = `
+        <div class="terminal-header">
+            <div class="terminal-buttons">
+                <button type="button" class="terminal-btn red" data-action="close" aria-label="Close terminal"
+                        data-i18n-attr="aria-label:terminal.close"></button>
+                <button type="button" class="terminal-btn yellow" data-action="minimize" aria-label="Minimize terminal"
+                        data-i18n-attr="aria-label:terminal.minimize"></button>
+                <button type="button" class="terminal-btn green" data-action="maximize" aria-label="Maximize terminal"
+                        data-i18n-attr="aria-label:terminal.maximize"></button>
+            </div>
+            <div class="terminal-title"></div>
+            <div class="terminal-actions">
+                <button type="button" class="terminal-action" data-action="scheme" aria-haspopup="true"
+                        aria-expanded="false" title="Color scheme" aria-label="Color scheme"
+                        data-i18n-attr="title:terminal.scheme; aria-label:terminal.scheme">&#9680;</button>
+                <button type="button" class="terminal-action" data-action="export" aria-haspopup="true"
+                        aria-expanded="false" title="Export session" aria-label="Export session"
+                        data-i18n-attr="title:terminal.export; aria-label:terminal.export">&#8615;</button>
+                <button type="button" class="terminal-action" data-action="new"
+                        title="Open another terminal" aria-label="Open another terminal"
+                        data-i18n-attr="title:terminal.newWindow; aria-label:terminal.newWindow">+</button>
+            </div>
+        </div>
+        <div class="terminal-export-menu" hidden>
+            <label class="terminal-export-field">
+                <span data-i18n="terminal.exportSequence">Sequence</span>
+                <select class="terminal-export-scenario"></select>
+            </label>
+            <button type="button" class="terminal-export-option" data-export="svg" data-i18n="terminal.exportSvg">Download animated SVG</button>
+            <button type="button" class="terminal-export-option" data-export="text" data-i18n="terminal.exportText">Copy text transcript</button>
+            <button type="button" class="terminal-export-option" data-export="markdown" data-i18n="terminal.exportMarkdown">Copy Markdown transcript</button>
+            <p class="terminal-export-status" role="status"></p>
+        </div>
+        <div class="terminal-scheme-menu" role="menu" aria-label="Color scheme" data-i18n-attr="aria-label:terminal.scheme" hidden></div>
+        <div class="terminal-body" tabindex="0" aria-label="Terminal demo, press Enter for an interactive shell"
+             data-i18n-attr="aria-label:terminal.body">
+            <div class="terminal-content">
+                <div class="terminal-line" aria-hidden="true">
+                    <span class="prompt">$</span>
+                    <span class="command"></span>
+                    <span class="cursor">|</span>
+                </div>
+                <div class="terminal-output" aria-hidden="true"></div>
+            </div>
+            <div class="sr-only terminal-transcript" role="log" aria-live="polite" aria-label="Terminal demo transcript"
+                 data-i18n-attr="aria-label:terminal.transcript"></div>
+        </div>
+    `;
+
+    // Screen readers get finished lines from the transcript, not every keystroke
+    const TRANSCRIPT_MAX_LINES = 30;
+
+    class TerminalWindow {
+        constructor(manager, options = {}) {
+            this.manager = manager;
+            this.id = options.id;
+            this.isPrimary = !!options.primary;
+            this.scenarioId = options.scenarioId || null;
+            this.animator = options.animator || new TerminalAnimator();
+            this.shell = new TerminalShell(this.animator);
+            this.winbox = null;
+            this.isMinimized = false;
+            this.isMaximized = false;
+            this.isClosed = false;
+            this.reopenTimeout = null;
+            this.container = manager.container;
+            this.reopenBtn = this.isPrimary ? manager.reopenBtn : null;
+            this.savedPosition = null;
+            this.snapSide = null;
+            this.savedState = options.savedState || null;
+            this.saveTimeout = null;
+            // Held until the scenario files are in, so early saves don't overwrite it
+            this.pendingScenarioIndex = this.savedState ? this.savedState.scenarioIndex : null;
+            this.preferences = {
+                autoplay: this.savedState ? this.savedState.autoplay : true,
+                autoReopen: this.savedState ? this.savedState.autoReopen : true
+            };
+
+            registerWindowCommands(this.shell, this);
+            if (this.scenarioId) {
+                this.animator.pin(this.scenarioId);
+            }
+            if (this.isPrimary) {
+                this.animator.on('sequencestart', ({ index }) => {
+                    if (index !== null) this.saveState();
+                });
+            }
+            this.animator.reducedMotion = manager.reducedMotion;
+            // What export offers by default: whatever the window showed last
+            this.lastScenario = null;
+            // Suspends the animation while the window is scrolled out of view
+            this.visibilityObserver = null;
+            // Set once the visitor interacts, which overrides power saving for this window
+            this.isAwake = false;
+            this.animator.on('sequencestart', ({ scenario }) => {
+                this.lastScenario = scenario;
+            });
+            this.animator.on('sequencestart', () => this.clearTranscript());
+            this.animator.on('linerendered', ({ step, text }) => {
+                this.announce(step === 0 ? '$ ' + text : stripAnsi(text));
+            });
+            this.animator.on('promptstart', ({ text }) => this.announce(stripAnsi(text)));
+            // Only a sequence that played out counts as watched, not one drawn in an instant
+            let watched = false;
+            this.animator.on('sequencestart', ({ fromStep }) => {
+                watched = !fromStep;
+            });
+            this.animator.on('sequenceend', ({ scenario }) => {
+                if (watched) analytics.track('scenario.complete', { scenario: scenario.id, window: this.analyticsName });
+            });
+        }
+
+        // How analytics tells windows apart, without counting them
+        get analyticsName() {
+            return this.isPrimary ? 'primary' : 'extra';
+        }
+
+        get mode() {
+            if (this.isClosed) return 'closed';
+            if (this.isMinimized) return 'minimized';
+            if (this.isMaximized) return 'maximized';
+            if (this.snapSide) return 'snapped-' + this.snapSide;
+            return 'normal';
+        }
+
+        get isMobile() {
+            return this.manager.isMobile;
+        }
+
+        // The outer window element (WinBox's or LiteWindow's)
+        get element() {
+            return this.winbox.body.parentElement;
+        }
+
+        get title() {
+            const scenario = this.scenarioId && this.animator.findScenario(this.scenarioId);
+            return scenario ? `chetech-agent · ${scenario.title}` : 'chetech-agent';
+        }
+
+        // The primary window sits in the hero; others open wherever they're told to
+        defaultPosition(width) {
+            const containerRect = this.container.getBoundingClientRect();
+
+            // For desktop, position relative to container
+            // For mobile, center in container
+            if (this.isMobile) {
+                return { x: 'center', y: containerRect.top + window.scrollY };
+            }
+            return {
+                x: containerRect.left + (containerRect.width - width) / 2,
+                y: containerRect.top + window.scrollY + 20
+            };
+        }
+
+        createWindow(position) {
+            // Calculate position, preferring where the visitor left the window last time
+            const saved = this.savedState && this.savedState.geometry;
+            if (!position && saved && !this.isMobile) {
+                position = { x: saved.left, y: saved.top, width: saved.width, height: saved.height };
+            }
+            const width = Math.min((position && position.width) || 540, window.innerWidth - 40);
+            const height = (position && position.height) || 380;
+            const { x, y } = position || this.defaultPosition(width);
+
+            this.winbox = createWindowLayer({
+                title: '',
+                html: TERMINAL_HTML,
+                width: width,
+                height: height,
+                x: x,
+                y: y,
+                top: 0,
+                bottom: 0,
+                left: 0,
+                right: 0,
+                class: ['no-animation', 'no-header'],
+                background: 'transparent',
+                border: 0,
+                header: 0, // Hide default header
+                move: false, // We handle move ourselves via custom drag handler
+                resize: !this.isMobile, // Enable resize only on desktop
+                maximize: false,
+                minimize: false,
+                close: false,
+                onfocus: () => this.manager.setActive(this),
+                onresize: () => this.scheduleSave()
+            });
+            this.winbox.body.querySelector('.terminal-title').textContent = this.title;
+            i18n.apply(this.winbox.body);
+            this.element.setAttribute('role', 'region');
+            this.element.setAttribute('aria-label', this.title);
+
+            // Make terminal header the drag handle
+            this.setupDragHandler();
+
+            // Remove no-animation class after initial render
+            setTimeout(() => {
+                if (this.winbox) {
+                    this.element.classList.remove('no-animation');
+                    // Add float animation
+                    if (!this.isMobile && !this.manager.reducedMotion) {
+                        this.element.classList.add('terminal-float');
+                    }
+                }
+            }, 100);
+
+            this.watchVisibility();
+
+            // Set up button handlers
+            this.setupButtons();
+            this.setupExportMenu();
+            this.setupSchemeMenu();
+            this.setupKeyboard();
+
+            // Connect animator to new elements
+            this.connectAnimator();
+
+            // Clicking into the terminal switches to the interactive shell
+            this.setupShell();
+
+            if (this.reopenBtn) {
+                // Hide reopen button
+                this.reopenBtn.style.display = 'none';
+            }
+            this.isClosed = false;
+        }
+
+        // Put the window back the way the visitor left it
+        applySavedState() {
+            if (!this.savedState) return;
+            this.clampToViewport();
+
+            const mode = this.savedState.mode;
+            if (mode === 'minimized') {
+                this.minimize();
+            } else if (mode === 'maximized') {
+                this.toggleMaximize();
+            } else if (mode === 'snapped-left' || mode === 'snapped-right') {
+                this.snap(mode.slice('snapped-'.length));
+            } else if (mode === 'closed' && !this.preferences.autoReopen) {
+                // It would have reopened by itself otherwise
+                this.close();
+            }
+        }
+
+        snapshotState() {
+            let geometry = null;
+            if (this.winbox) {
+                const restored = (this.isMaximized || this.snapSide) && this.savedPosition;
+                const winboxEl = this.element;
+                const source = restored ? this.savedPosition : winboxEl.style;
+                geometry = {
+                    left: parseInt(source.left, 10) || 0,
+                    top: parseInt(source.top, 10) || 0,
+                    width: parseInt(source.width, 10) || winboxEl.offsetWidth,
+                    height: parseInt(source.height, 10) || winboxEl.offsetHeight
+                };
+            }
+            return {
+                geometry,
+                mode: this.mode,
+                scenarioIndex: this.pendingScenarioIndex !== null ? this.pendingScenarioIndex : this.animator.currentSequence,
+                autoplay: this.preferences.autoplay,
+                autoReopen: this.preferences.autoReopen
+            };
+        }
+
+        // Pick the demo back up where the last visit left off
+        restoreScenario() {
+            if (this.pendingScenarioIndex === null) return;
+            this.animator.select(this.pendingScenarioIndex);
+            this.pendingScenarioIndex = null;
+        }
+
+        saveState() {
+            if (!this.isPrimary) return;
+            clearTimeout(this.saveTimeout);
+            writeTerminalState(this.snapshotState());
+        }
+
+        // Resizing fires continuously; only write once it settles
+        scheduleSave() {
+            if (!this.isPrimary) return;
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = setTimeout(() => this.saveState(), 300);
+        }
+
+        setPreference(name, value) {
+            this.preferences[name] = value;
+            this.saveState();
+        }
+
+        setupButtons() {
+            const header = this.winbox.body.querySelector('.terminal-header');
+            const actions = {
+                close: () => this.close(),
+                minimize: () => this.minimize(),
+                maximize: () => this.toggleMaximize(),
+                new: () => this.manager.openScenario(),
+                export: () => this.toggleExportMenu(),
+                scheme: () => this.toggleSchemeMenu()
+            };
+
+            header.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (!button || !actions[button.dataset.action]) return;
+                e.stopPropagation();
+                actions[button.dataset.action]();
+            });
+        }
+
+        setupExportMenu() {
+            const menu = this.winbox.body.querySelector('.terminal-export-menu');
+            menu.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-export]');
+                if (!option) return;
+                const scenario = this.animator.findScenario(menu.querySelector('.terminal-export-scenario').value);
+                const status = menu.querySelector('.terminal-export-status');
+                status.textContent = 'Rendering...';
+                this.exportSession(option.dataset.export, scenario).then(message => {
+                    status.textContent = message;
+                }, err => {
+                    status.textContent = 'Export failed: ' + err.message;
+                });
+            });
+            menu.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    // Don't let the window treat it as "restore size"
+                    e.stopPropagation();
+                    this.toggleExportMenu(false);
+                }
+            });
+            // Close when clicking anywhere else
+            this.onDocumentPointerDown = (e) => {
+                if (!menu.hidden && !menu.contains(e.target) && !e.target.closest('[data-action="export"]')) {
+                    this.toggleExportMenu(false);
+                }
+            };
+            document.addEventListener('pointerdown', this.onDocumentPointerDown);
+        }
+
+        toggleExportMenu(open) {
+            const menu = this.winbox.body.querySelector('.terminal-export-menu');
+            const button = this.winbox.body.querySelector('[data-action="export"]');
+            const show = open !== undefined ? open : menu.hidden;
+            const returnFocus = !show && menu.contains(document.activeElement);
+            menu.hidden = !show;
+            button.setAttribute('aria-expanded', String(show));
+
+            if (show) {
+                this.toggleSchemeMenu(false);
+                const select = menu.querySelector('.terminal-export-scenario');
+                const current = this.lastScenario || this.animator.currentScenario;
+                select.replaceChildren(...this.animator.scenarios.map(scenario =>
+                    new Option(scenario.title, scenario.id, false, scenario === current)));
+                menu.querySelector('.terminal-export-status').textContent = '';
+                select.focus();
+            } else if (returnFocus) {
+                button.focus();
+            }
+        }
+
+        setupSchemeMenu() {
+            const menu = this.winbox.body.querySelector('.terminal-scheme-menu');
+            menu.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-scheme]');
+                if (!option) return;
+                themes.setScheme(option.dataset.scheme);
+                this.toggleSchemeMenu(false);
+            });
+            menu.addEventListener('keydown', (e) => {
+                const options = Array.from(menu.querySelectorAll('[data-scheme]'));
+                const index = options.indexOf(document.activeElement);
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    this.toggleSchemeMenu(false);
+                } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    const step = e.key === 'ArrowDown' ? 1 : -1;
+                    options[(index + step + options.length) % options.length].focus();
+                } else if (e.key === 'Home' || e.key === 'End') {
+                    e.preventDefault();
+                    options[e.key === 'Home' ? 0 : options.length - 1].focus();
+                } else if (e.key === 'Tab') {
+                    this.toggleSchemeMenu(false);
+                }
+            });
+            this.onSchemePointerDown = (e) => {
+                if (!menu.hidden && !menu.contains(e.target) && !e.target.closest('[data-action="scheme"]')) {
+                    this.toggleSchemeMenu(false);
+                }
+            };
+            document.addEventListener('pointerdown', this.onSchemePointerDown);
+        }
+
+        toggleSchemeMenu(open) {
+            const menu = this.winbox.body.querySelector('.terminal-scheme-menu');
+            const button = this.winbox.body.querySelector('[data-action="scheme"]');
+            const show = open !== undefined ? open : menu.hidden;
+            const returnFocus = !show && menu.contains(document.activeElement);
+            menu.hidden = !show;
+            button.setAttribute('aria-expanded', String(show));
+
+            if (show) {
+                this.toggleExportMenu(false);
+                menu.replaceChildren(...TERMINAL_SCHEMES.map(scheme => {
+                    const option = document.createElement('button');
+                    option.type = 'button';
+                    option.className = 'terminal-scheme-option';
+                    option.setAttribute('role', 'menuitemradio');
+                    option.setAttribute('aria-checked', String(scheme.id === themes.scheme));
+                    option.dataset.scheme = scheme.id;
+                    option.textContent = scheme.name;
+                    return option;
+                }));
+                (menu.querySelector('[aria-checked="true"]') || menu.firstElementChild).focus();
+            } else if (returnFocus) {
+                button.focus();
+            }
+        }
+
+        // Record `scenario` off screen and hand it over in the requested format.
+        // Resolves with a short message saying where the result went.
+        async exportSession(format, scenario) {
+            const body = this.winbox.body.querySelector('.terminal-body');
+            const session = await recordSession(scenario, body);
+            const title = `chetech-agent · ${scenario.title}`;
+
+            if (format === 'svg') {
+                const content = getComputedStyle(body.querySelector('.terminal-content') || body);
+                const header = getComputedStyle(this.winbox.body.querySelector('.terminal-header'));
+                const fontSize = parseFloat(content.fontSize) || 14;
+                // Some engines report a unitless line-height as the bare multiplier
+                let lineHeight = parseFloat(content.lineHeight) || 1.8;
+                if (lineHeight < fontSize) {
+                    lineHeight *= fontSize;
+                }
+                const svg = renderSessionSvg(session, {
+                    title,
+                    typography: {
+                        fontFamily: content.fontFamily || 'monospace',
+                        fontSize,
+                        lineHeight,
+                        color: content.color,
+                        background: getComputedStyle(this.winbox.body).backgroundColor,
+                        headerBackground: header.backgroundColor,
+                        titleColor: getComputedStyle(this.winbox.body.querySelector('.terminal-title')).color
+                    }
+                });
+                downloadFile(`${scenario.id}.svg`, 'image/svg+xml', svg);
+                return `Saved ${scenario.id}.svg`;
+            }
+            if (format === 'markdown') {
+                return copyOrDownload(markdownTranscript(session, title), `${scenario.id}.md`, 'text/markdown');
+            }
+            return copyOrDownload(textTranscript(session), `${scenario.id}.txt`, 'text/plain');
+        }
+
+        // Escape puts a maximized or snapped window back where it was
+        setupKeyboard() {
+            this.element.addEventListener('keydown', (e) => {
+                if (e.key !== 'Escape' || !(this.isMaximized || this.snapSide)) return;
+                e.preventDefault();
+                if (this.isMaximized) {
+                    this.toggleMaximize();
+                } else {
+                    this.unsnap();
+                }
+                this.winbox.body.querySelector('[data-action="maximize"]').focus();
+            });
+        }
+
+        announce(text) {
+            // The shell's own scrollback is a live region already
+            if (!this.winbox || this.shell.isActive || !text.trim()) return;
+            const transcript = this.winbox.body.querySelector('.terminal-transcript');
+            const line = document.createElement('div');
+            line.textContent = text;
+            transcript.appendChild(line);
+            while (transcript.childElementCount > TRANSCRIPT_MAX_LINES) {
+                transcript.firstElementChild.remove();
+            }
+        }
+
+        clearTranscript() {
+            if (this.winbox) {
+                this.winbox.body.querySelector('.terminal-transcript').replaceChildren();
+            }
+        }
+
+        // Whether keyboard focus is somewhere inside this window
+        hasFocus() {
+            return !!this.winbox && this.element.contains(document.activeElement);
+        }
+
+        // Move keyboard focus into the window: the shell input if open, else the demo
+        focusContent() {
+            if (!this.winbox) return;
+            if (this.shell.isActive) {
+                this.shell.focus();
+            } else {
+                this.winbox.body.querySelector('.terminal-body').focus({ preventScroll: true });
+            }
+        }
+
+        // Suspend the animation while no part of the window is on screen. A hidden
+        // (minimized or closed) window counts as off screen too.
+        watchVisibility() {
+            if (this.visibilityObserver) {
+                this.visibilityObserver.disconnect();
+            }
+            if (!('IntersectionObserver' in window)) return;
+            this.visibilityObserver = new IntersectionObserver(entries => {
+                const entry = entries[entries.length - 1];
+                this.setSuspended('offscreen', !entry.isIntersecting);
+            });
+            this.visibilityObserver.observe(this.element);
+
+            // Whoever clicks or types in here wants it running, power saving or not
+            const wake = () => this.wake();
+            this.element.addEventListener('pointerdown', wake);
+            this.element.addEventListener('keydown', wake);
+        }
+
+        setSuspended(reason, suspended) {
+            if (reason === 'power-saver' && this.isAwake) {
+                suspended = false;
+            }
+            if (suspended) {
+                this.animator.suspend(reason);
+            } else {
+                this.animator.unsuspend(reason);
+            }
+            if (this.winbox) {
+                this.element.classList.toggle('terminal-suspended', this.animator.isSuspended);
+            }
+        }
+
+        wake() {
+            if (this.isAwake) return;
+            this.isAwake = true;
+            this.setSuspended('power-saver', false);
+        }
+
+        connectAnimator() {
+            const body = this.winbox.body;
+            this.animator.setElements(
+                body.querySelector('.command'),
+                body.querySelector('.terminal-output'),
+                body.querySelector('.cursor')
+            );
+            this.animator.resume();
+        }
+
+        setupShell() {
+            const body = this.winbox.body.querySelector('.terminal-body');
+            this.shell.attach(body.querySelector('.terminal-content'), body);
+
+            body.addEventListener('click', () => {
+                // Don't steal focus while the visitor is selecting text to copy
+                const selection = window.getSelection();
+                if (selection && !selection.isCollapsed) return;
+                // A demo asking a question wants the answer typed here, not in a shell
+                if (this.animator.prompt && !this.shell.isActive) {
+                    body.focus({ preventScroll: true });
+                    return;
+                }
+                this.shell.enter();
+            });
+
+            body.addEventListener('keydown', (e) => {
+                if (e.target === body && !this.shell.isActive && this.animator.handlePromptKey(e)) return;
+                if (e.key === 'Enter' && e.target === body && !this.shell.isActive) {
+                    e.preventDefault();
+                    this.shell.enter();
+                }
+            });
+        }
+
+        setScenarios(scenarios) {
+            this.animator.setScenarios(scenarios);
+            if (this.winbox) {
+                this.winbox.body.querySelector('.terminal-title').textContent = this.title;
+                this.element.setAttribute('aria-label', this.title);
+            }
+        }
+
+        // Place the window in document coordinates
+        setGeometry({ left, top, width, height }) {
+            this.unsnap();
+            const winboxEl = this.element;
+            winboxEl.style.left = left + 'px';
+            winboxEl.style.top = top + 'px';
+            winboxEl.style.width = width + 'px';
+            winboxEl.style.height = height + 'px';
+        }
+
+        getGeometry() {
+            const winboxEl = this.element;
+            return {
+                left: parseInt(winboxEl.style.left, 10) || 0,
+                top: parseInt(winboxEl.style.top, 10) || 0,
+                width: winboxEl.offsetWidth,
+                height: winboxEl.offsetHeight
+            };
+        }
+
+        focus() {
+            if (this.winbox) {
+                this.winbox.focus();
+            }
+        }
+
+        setupDragHandler() {
+            const terminalHeader = this.winbox.body.querySelector('.terminal-header');
+            if (!terminalHeader) return;
+
+            // Get the WinBox DOM element
+            const winboxEl = this.element;
+            if (!winboxEl) return;
+
+            let dragPointer = null;
+            let startX, startY;
+            let startLeft, startTop;
+            let snapSide = null;
+
+            const onPointerDown = (e) => {
+                // Don't drag if clicking on buttons
+                if (e.target.closest('.terminal-btn, .terminal-action')) return;
+                // Only the primary button of the first pointer (mouse, pen or finger)
+                if (!e.isPrimary || e.button !== 0) return;
+                if (dragPointer !== null) return;
+
+                dragPointer = e.pointerId;
+                this.focus();
+
+                // Pull a snapped or maximized window back to its old size under the pointer
+                if (this.snapSide || this.isMaximized) {
+                    const ratio = (e.clientX - winboxEl.getBoundingClientRect().left) / winboxEl.offsetWidth;
+                    this.unsnap();
+                    const width = winboxEl.offsetWidth;
+                    winboxEl.style.left = (e.clientX - width * ratio + window.scrollX) + 'px';
+                    winboxEl.style.top = (e.clientY - terminalHeader.offsetHeight / 2 + window.scrollY) + 'px';
+                }
+
+                startX = e.clientX;
+                startY = e.clientY;
+
+                // Get current position from the element's style
+                startLeft = parseInt(winboxEl.style.left, 10) || 0;
+                startTop = parseInt(winboxEl.style.top, 10) || 0;
+
+                // Remove float animation when dragging starts
+                winboxEl.classList.remove('terminal-float');
+
+                // Add dragging class for visual feedback
+                winboxEl.classList.add('dragging');
+
+                // Keep receiving moves even when the pointer leaves the header
+                if (terminalHeader.setPointerCapture) {
+                    terminalHeader.setPointerCapture(e.pointerId);
+                }
+
+                e.preventDefault();
+                e.stopPropagation();
+            };
+
+            const onPointerMove = (e) => {
+                if (e.pointerId !== dragPointer) return;
+
+                const deltaX = e.clientX - startX;
+                const deltaY = e.clientY - startY;
+
+                const position = this.clampPosition(startLeft + deltaX, startTop + deltaY, true);
+
+                // Directly set CSS position
+                winboxEl.style.left = position.left + 'px';
+                winboxEl.style.top = position.top + 'px';
+
+                snapSide = snapZone(e.clientX, e.clientY);
+                this.manager.showSnapPreview(snapSide);
+
+                e.preventDefault();
+            };
+
+            const onPointerUp = (e) => {
+                if (e.pointerId !== dragPointer) return;
+
+                dragPointer = null;
+                winboxEl.classList.remove('dragging');
+                this.manager.showSnapPreview(null);
+
+                if (e.type === 'pointerup' && snapSide) {
+                    this.snap(snapSide);
+                }
+                snapSide = null;
+                this.saveState();
+
+                e.preventDefault();
+            };
+
+            terminalHeader.addEventListener('pointerdown', onPointerDown);
+            terminalHeader.addEventListener('pointermove', onPointerMove);
+            terminalHeader.addEventListener('pointerup', onPointerUp);
+            terminalHeader.addEventListener('pointercancel', onPointerUp);
+        }
+
+        // Keep enough of the window on screen to grab it again. While dragging, the
+        // header also has to stay inside the visible part of the page.
+        clampPosition(left, top, whileDragging = false) {
+            const winboxEl = this.element;
+            const headerHeight = this.winbox.body.querySelector('.terminal-header').offsetHeight || 40;
+            const navHeight = 72; // var(--nav-height)
+            const docHeight = document.documentElement.scrollHeight;
+
+            let minTop = navHeight;
+            let maxTop = docHeight - headerHeight;
+            if (whileDragging) {
+                minTop = Math.max(minTop, window.scrollY + navHeight);
+                maxTop = Math.min(maxTop, window.scrollY + window.innerHeight - headerHeight);
+            }
+
+            return {
+                left: Math.min(Math.max(left, WINDOW_MIN_VISIBLE - winboxEl.offsetWidth), window.innerWidth - WINDOW_MIN_VISIBLE),
+                top: Math.min(Math.max(top, minTop), Math.max(minTop, maxTop))
+            };
+        }
+
+        // Called after the viewport changes size or orientation
+        clampToViewport() {
+            if (!this.winbox || this.isMaximized || this.snapSide) return;
+            const winboxEl = this.element;
+
+            if (winboxEl.offsetWidth > window.innerWidth) {
+                winboxEl.style.width = window.innerWidth + 'px';
+            }
+
+            const left = parseInt(winboxEl.style.left, 10) || 0;
+            const top = parseInt(winboxEl.style.top, 10) || 0;
+            const position = this.clampPosition(left, top);
+            winboxEl.style.left = position.left + 'px';
+            winboxEl.style.top = position.top + 'px';
+        }
+
+        // Half-screen left/right, or maximized for 'top'
+        snap(side) {
+            if (side === 'top') {
+                if (!this.isMaximized) {
+                    this.toggleMaximize();
+                }
+                return;
+            }
+
+            const winboxEl = this.element;
+            if (!this.snapSide && !this.isMaximized) {
+                this.savedPosition = {
+                    left: winboxEl.style.left,
+                    top: winboxEl.style.top,
+                    width: winboxEl.style.width,
+                    height: winboxEl.style.height
+                };
+            }
+            winboxEl.classList.remove('max');
+            this.isMaximized = false;
+
+            const navHeight = 72; // var(--nav-height)
+            winboxEl.style.position = 'fixed';
+            winboxEl.style.left = side === 'left' ? '0px' : '50vw';
+            winboxEl.style.top = navHeight + 'px';
+            winboxEl.style.width = '50vw';
+            winboxEl.style.height = `calc(100vh - ${navHeight}px)`;
+            winboxEl.classList.add('snapped');
+            this.snapSide = side;
+            this.manager.updateDock();
+            this.saveState();
+        }
+
+        // Back to the size and place the window had before it was snapped or maximized
+        unsnap() {
+            if (this.isMaximized) {
+                this.toggleMaximize();
+                return;
+            }
+            if (!this.snapSide) return;
+
+            const winboxEl = this.element;
+            winboxEl.style.left = this.savedPosition.left;
+            winboxEl.style.top = this.savedPosition.top;
+            winboxEl.style.width = this.savedPosition.width;
+            winboxEl.style.height = this.savedPosition.height;
+            winboxEl.style.position = 'absolute';
+            winboxEl.classList.remove('snapped');
+            this.snapSide = null;
+            this.manager.updateDock();
+            this.saveState();
+        }
+
+        close() {
+            analytics.track('terminal.close', { window: this.analyticsName });
+            if (!this.isPrimary) {
+                this.destroy();
+                return;
+            }
+
+            if (this.winbox && !this.isClosed) {
+                const hadFocus = this.hasFocus();
+                this.animator.pause();
+                this.winbox.hide();
+                this.isClosed = true;
+
+                // Show reopen button
+                this.reopenBtn.style.display = 'flex';
+
+                // Auto-reopen after 8 seconds, unless the visitor asked us not to
+                if (this.preferences.autoReopen) {
+                    this.manager.keepClosedBtn.style.display = 'block';
+                    this.reopenTimeout = setTimeout(() => {
+                        if (this.isClosed) {
+                            this.reopen({ auto: true });
+                        }
+                    }, 8000);
+                }
+                this.saveState();
+                this.manager.updateDock();
+                if (hadFocus) {
+                    this.reopenBtn.focus();
+                }
+            }
+        }
+
+        // Stay closed now and on later visits
+        keepClosed() {
+            if (this.reopenTimeout) {
+                clearTimeout(this.reopenTimeout);
+                this.reopenTimeout = null;
+            }
+            this.manager.keepClosedBtn.style.display = 'none';
+            this.setPreference('autoReopen', false);
+        }
+
+        // Extra windows go away for good when closed
+        destroy() {
+            const hadFocus = this.hasFocus();
+            this.animator.stop();
+            document.removeEventListener('pointerdown', this.onDocumentPointerDown);
+            document.removeEventListener('pointerdown', this.onSchemePointerDown);
+            if (this.visibilityObserver) {
+                this.visibilityObserver.disconnect();
+                this.visibilityObserver = null;
+            }
+            if (this.winbox) {
+                this.winbox.close(true);
+                this.winbox = null;
+            }
+            this.manager.remove(this);
+            // Don't leave keyboard focus on a node that's gone
+            if (hadFocus && this.manager.primary && !this.manager.primary.isClosed) {
+                this.manager.primary.focusContent();
+            }
+        }
+
+        minimize() {
+            if (this.winbox && !this.isMinimized) {
+                const hadFocus = this.hasFocus();
+                this.animator.pause();
+                this.winbox.hide();
+                this.isMinimized = true;
+                analytics.track('terminal.minimize', { window: this.analyticsName });
+
+                // List it in the dock, and follow it there with the keyboard
+                this.manager.updateDock();
+                if (hadFocus) {
+                    this.manager.focusDockItem(this);
+                }
+                this.saveState();
+            }
+        }
+
+        restore() {
+            if (this.winbox && this.isMinimized) {
+                this.winbox.show();
+                this.isMinimized = false;
+                this.animator.resume();
+                this.focus();
+                this.focusContent();
+
+                this.manager.updateDock();
+                this.saveState();
+            }
+        }
+
+        toggleMaximize() {
+            if (!this.winbox) return;
+
+            const winboxEl = this.winbox.body.parentElement;
+            if (!winboxEl) return;
+
+            if (this.isMaximized) {
+                // Restore to original size and position
+                winboxEl.style.left = this.savedPosition.left;
+                winboxEl.style.top = this.savedPosition.top;
+                winboxEl.style.width = this.savedPosition.width;
+                winboxEl.style.height = this.savedPosition.height;
+                winboxEl.style.position = 'absolute';
+                winboxEl.classList.remove('max');
+                this.isMaximized = false;
+            } else {
+                // Save current position and size, unless snapping already did
+                if (!this.snapSide) {
+                    this.savedPosition = {
+                        left: winboxEl.style.left,
+                        top: winboxEl.style.top,
+                        width: winboxEl.style.width,
+                        height: winboxEl.style.height
+                    };
+                }
+                winboxEl.classList.remove('snapped');
+                this.snapSide = null;
+                // Maximize - use fixed position and account for nav bar
+                const navHeight = 72; // var(--nav-height)
+                winboxEl.style.position = 'fixed';
+                winboxEl.style.left = '0px';
+                winboxEl.style.top = navHeight + 'px';
+                winboxEl.style.width = '100vw';
+                winboxEl.style.height = `calc(100vh - ${navHeight}px)`;
+                winboxEl.classList.add('max');
+                this.isMaximized = true;
+                analytics.track('terminal.maximize', { window: this.analyticsName });
+            }
+            const maximizeBtn = this.winbox.body.querySelector('[data-action="maximize"]');
+            const labelKey = this.isMaximized ? 'terminal.restoreSize' : 'terminal.maximize';
+            maximizeBtn.dataset.i18nAttr = 'aria-label:' + labelKey;
+            maximizeBtn.setAttribute('aria-label', i18n.t(labelKey));
+            this.manager.updateDock();
+            this.saveState();
+        }
+
+        // `auto` when the window comes back by itself rather than at the visitor's request
+        reopen({ auto = false } = {}) {
+            analytics.track('terminal.open', { window: this.analyticsName, auto });
+            if (this.reopenTimeout) {
+                clearTimeout(this.reopenTimeout);
+                this.reopenTimeout = null;
+            }
+
+            if (this.winbox) {
+                // Show the hidden window
+                this.winbox.show();
+                this.isClosed = false;
+                this.reopenBtn.style.display = 'none';
+                this.animator.resume();
+                this.focus();
+                this.focusContent();
+            } else {
+                // Create new window if it was destroyed
+                this.createWindow();
+            }
+            this.manager.keepClosedBtn.style.display = 'none';
+            this.manager.updateDock();
+            this.saveState();
+        }
+
+        // Bring the window back and put scenario `id` on screen: in the autoplay
+        // rotation, or replayed once in the shell when `autoplay` is false
+        showScenario(id, { autoplay = true } = {}) {
+            this.wake();
+            if (this.isClosed) {
+                this.reopen();
+            } else if (this.isMinimized) {
+                this.restore();
+            }
+
+            if (!autoplay) {
+                if (this.shell.isBusy) {
+                    this.shell.interrupt();
+                }
+                this.shell.enter({ focus: false });
+                this.shell.execute(`demo ${id}`);
+                return;
+            }
+
+            if (this.shell.isActive) {
+                this.shell.exit();
+            }
+            // Undo an earlier link's pin, unless this window was opened for one demo
+            if (this.animator.pinnedId && !this.scenarioId) {
+                this.animator.pin(null);
+            }
+            const index = this.animator.playlist.indexOf(this.animator.findScenario(id));
+            if (index === -1) {
+                // Kept out of the rotation (weight 0); loop it on its own
+                this.animator.pin(id);
+            } else {
+                this.animator.select(index);
+            }
+            this.animator.play();
+        }
+    }
+
+    // ===================================
+    // Window Manager
+    // ===================================
+    const WINDOW_CASCADE_OFFSET = 32;
+    const WINDOW_GAP = 16;
+    const WINDOW_MIN_VISIBLE = 80;
+    const SNAP_MARGIN = 12;
+    const RESIZE_SETTLE_DELAY = 150;
+
+    // Which screen edge, if any, a dragged window would snap to
+    function snapZone(clientX, clientY) {
+        if (clientY <= SNAP_MARGIN) return 'top';
+        if (clientX <= SNAP_MARGIN) return 'left';
+        if (clientX >= window.innerWidth - SNAP_MARGIN) return 'right';
+        return null;
+    }
+
+    class WindowManager {
+        constructor(container) {
+            this.container = container;
+            this.reopenBtn = document.getElementById('terminal-reopen');
+            this.keepClosedBtn = document.getElementById('terminal-keep-closed');
+            this.windows = [];
+            this.scenarios = [];
+            this.activeWindow = null;
+            this.nextId = 1;
+            this.dockElement = null;
+            this.snapPreview = null;
+            this.isMobile = this.detectMobile();
+            this.reducedMotion = prefersReducedMotion();
+
+            onReducedMotionChange(() => {
+                this.reducedMotion = prefersReducedMotion();
+                this.windows.forEach(win => {
+                    win.animator.reducedMotion = this.reducedMotion;
+                });
+            });
+
+            // Nothing animates in a background tab or when the device asks to save power
+            this.powerSaving = false;
+            document.addEventListener('visibilitychange', () => {
+                this.windows.forEach(win => win.setSuspended('hidden', document.hidden));
+            });
+            watchPowerSaving(saving => {
+                this.powerSaving = saving;
+                this.windows.forEach(win => win.setSuspended('power-saver', saving));
+            });
+
+            this.reopenBtn.addEventListener('click', () => {
+                if (this.primary) {
+                    this.primary.reopen();
+                }
+            });
+
+            this.keepClosedBtn.addEventListener('click', () => {
+                if (this.primary) {
+                    this.primary.keepClosed();
+                }
+            });
+
+            // Update layout detection and pull windows back on screen once a resize settles
+            let resizeTimeout = null;
+            const onViewportChange = () => {
+                clearTimeout(resizeTimeout);
+                resizeTimeout = setTimeout(() => {
+                    this.isMobile = this.detectMobile();
+                    this.windows.forEach(win => win.clampToViewport());
+                }, RESIZE_SETTLE_DELAY);
+            };
+            window.addEventListener('resize', onViewportChange);
+            window.addEventListener('orientationchange', onViewportChange);
+        }
+
+        // Small screens get the stacked layout. Touch support alone doesn't count:
+        // plenty of laptops have touchscreens.
+        detectMobile() {
+            return window.matchMedia('(max-width: 1024px)').matches;
+        }
+
+        showSnapPreview(side) {
+            if (!side) {
+                if (this.snapPreview) {
+                    this.snapPreview.remove();
+                    this.snapPreview = null;
+                }
+                return;
+            }
+            if (!this.snapPreview) {
+                this.snapPreview = document.createElement('div');
+                document.body.appendChild(this.snapPreview);
+            }
+            this.snapPreview.className = 'terminal-snap-preview ' + side;
+        }
+
+        get primary() {
+            return this.windows.find(win => win.isPrimary) || null;
+        }
+
+        // Windows that are actually on screen
+        get openWindows() {
+            return this.windows.filter(win => win.winbox && !win.isMinimized && !win.isClosed);
+        }
+
+        open(options = {}, position) {
+            const win = new TerminalWindow(this, Object.assign({ id: this.nextId++ }, options));
+            win.animator.setScenarios(this.scenarios);
+            this.windows.push(win);
+            win.setSuspended('hidden', document.hidden);
+            win.setSuspended('power-saver', this.powerSaving);
+            try {
+                win.createWindow(position);
+            } catch (err) {
+                this.windows.splice(this.windows.indexOf(win), 1);
+                win.animator.stop();
+                throw err;
+            }
+            // The primary window is opened by the page rather than the visitor. Tracked before
+            // the saved state is applied, so a restored minimize or close follows its open.
+            analytics.track('terminal.open', { window: win.analyticsName, auto: win.isPrimary });
+            win.applySavedState();
+            this.updateDock();
+            return win;
+        }
+
+        // Open another window looping one scenario; by default the first one not already on screen
+        openScenario(scenarioId) {
+            if (!scenarioId) {
+                const shown = new Set(this.openWindows.map(win => win.scenarioId));
+                const next = this.scenarios.find(scenario => !shown.has(scenario.id)) || this.scenarios[0];
+                scenarioId = next && next.id;
+            }
+            if (!scenarioId) return null;
+
+            const win = this.open({ scenarioId }, this.nextPosition());
+            win.animator.play();
+            return win;
+        }
+
+        // Offset from the active window so a new one doesn't hide it completely
+        nextPosition() {
+            const anchor = this.activeWindow && this.openWindows.includes(this.activeWindow) && !this.activeWindow.isMaximized
+                ? this.activeWindow.getGeometry()
+                : null;
+            if (!anchor) return undefined;
+
+            const width = Math.min(540, window.innerWidth - 40);
+            return {
+                x: Math.max(0, Math.min(anchor.left + WINDOW_CASCADE_OFFSET, window.innerWidth - width)),
+                y: anchor.top + WINDOW_CASCADE_OFFSET
+            };
+        }
+
+        remove(win) {
+            this.windows = this.windows.filter(other => other !== win);
+            if (this.activeWindow === win) {
+                this.activeWindow = null;
+            }
+            this.updateDock();
+        }
+
+        setActive(win) {
+            this.activeWindow = win;
+        }
+
+        setScenarios(scenarios) {
+            this.scenarios = scenarios;
+            this.windows.forEach(win => win.setScenarios(scenarios));
+        }
+
+        // The part of the viewport below the nav, in document coordinates
+        workArea() {
+            const navHeight = 72; // var(--nav-height)
+            return {
+                left: WINDOW_GAP,
+                top: window.scrollY + navHeight + WINDOW_GAP,
+                width: window.innerWidth - WINDOW_GAP * 2,
+                height: window.innerHeight - navHeight - WINDOW_GAP * 2
+            };
+        }
+
+        cascade() {
+            const area = this.workArea();
+            const width = Math.min(540, area.width);
+            const height = Math.min(380, area.height);
+
+            this.openWindows.forEach((win, i) => {
+                const offset = (i * WINDOW_CASCADE_OFFSET) % Math.max(WINDOW_CASCADE_OFFSET, area.height - height);
+                win.setGeometry({ left: area.left + offset, top: area.top + offset, width, height });
+                win.focus();
+            });
+        }
+
+        tile() {
+            const windows = this.openWindows;
+            if (windows.length === 0) return;
+
+            const area = this.workArea();
+            const columns = Math.ceil(Math.sqrt(windows.length));
+            const rows = Math.ceil(windows.length / columns);
+            const width = Math.floor((area.width - WINDOW_GAP * (columns - 1)) / columns);
+            const height = Math.floor((area.height - WINDOW_GAP * (rows - 1)) / rows);
+
+            windows.forEach((win, i) => {
+                const column = i % columns;
+                const row = Math.floor(i / columns);
+                win.setGeometry({
+                    left: area.left + column * (width + WINDOW_GAP),
+                    top: area.top + row * (height + WINDOW_GAP),
+                    width,
+                    height
+                });
+            });
+        }
+
+        // Keyboard focus to a minimized window's dock entry, if it has one
+        focusDockItem(win) {
+            const item = this.dockElement && this.dockElement.querySelector(`[data-window-id="${win.id}"]`);
+            if (item) {
+                item.focus();
+            }
+        }
+
+        // The dock lists minimized windows, plus layout controls once several are open
+        updateDock() {
+            const minimized = this.windows.filter(win => win.isMinimized);
+            const showLayout = this.openWindows.length > 1;
+            document.body.classList.toggle('terminal-multi', showLayout);
+            // Snapped windows sit under the header just like maximized ones
+            document.body.classList.toggle('terminal-maximized',
+                this.openWindows.some(win => win.isMaximized || win.snapSide));
+
+            if (minimized.length === 0 && !showLayout) {
+                if (this.dockElement) {
+                    this.dockElement.remove();
+                    this.dockElement = null;
+                }
+                return;
+            }
+
+            if (!this.dockElement) {
+                this.dockElement = document.createElement('div');
+                this.dockElement.className = 'terminal-dock';
+                document.body.appendChild(this.dockElement);
+            }
+            this.dockElement.innerHTML = '';
+
+            minimized.forEach(win => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'terminal-dock-item';
+                item.innerHTML = `
+                    <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="3" y="3" width="18" height="18" rx="2"/>
+                        <path d="M3 9h18"/>
+                    </svg>
+                `;
+                item.appendChild(document.createTextNode(win.title));
+                item.setAttribute('aria-label', i18n.t('terminal.restoreWindow', { title: win.title }));
+                item.dataset.windowId = win.id;
+                item.addEventListener('click', () => win.restore());
+                this.dockElement.appendChild(item);
+            });
+
+            if (showLayout) {
+                const layouts = { cascade: i18n.t('terminal.cascade'), tile: i18n.t('terminal.tile') };
+                Object.keys(layouts).forEach(layout => {
+                    const item = document.createElement('button');
+                    item.type = 'button';
+                    item.className = 'terminal-dock-item terminal-dock-layout';
+                    item.textContent = layouts[layout];
+                    item.addEventListener('click', () => this[layout]());
+                    this.dockElement.appendChild(item);
+                });
+            }
+        }
+    }
+
+    // ===================================
+    // Terminal Element
+    // ===================================
+    // <chetech-terminal> plays scenarios on any page, without the windows, shell
+    // and hero around it. chetech-terminal.js offers the same as an ES module.
+    //
+    //   <chetech-terminal src="scenarios/agent-demos.json" autoplay theme="dracula"
+    //                     speed="1.5" mode="inline"></chetech-terminal>
+    //
+    // Attributes, all optional and all live:
+    //   src         scenario files, space-separated; the built-in demos without one
+    //   autoplay    run the rotation as soon as the scenarios are in; without it the
+    //               first scenario is drawn finished and waits for play()
+    //   theme       a terminal color scheme id; the default scheme without one
+    //   speed       playback speed multiplier, 1 is normal
+    //   mode        "window" (title bar and frame, the default) or "inline"
+    //   stylesheet  where the terminal styles come from; terminal.css next to script.js
+    //
+    // Methods: play(), pause(), stop(), restart(), next(), previous(),
+    // select(id or playlist index) and reload(), which resolves once the scenarios are in.
+    // Properties: ready (the pending reload), scenarios, currentScenario, state, speed, autoplay.
+    // Events, dispatched on the element with the animator's details: ready ({ scenarios }),
+    // sequencestart, linerendered, promptstart, sequenceend, statechange and speedchange.
+    // The class's static `engine` is the animator on its own, for headless tests that
+    // step a scenario on a VirtualClock (see tests/terminal-animator.test.js).
+    const TERMINAL_ELEMENT_EVENTS = ['sequencestart', 'linerendered', 'promptstart', 'sequenceend', 'statechange', 'speedchange'];
+    const TERMINAL_ELEMENT_MODES = ['window', 'inline'];
+    // Resolved while script.js runs, since currentScript is gone by the time an element needs it
+    const TERMINAL_STYLESHEET = new URL('terminal.css', (document.currentScript && document.currentScript.src) || document.baseURI).href;
+
+    const TERMINAL_ELEMENT_HTML = `
+        <div class="terminal-embed" part="window">
+            <div class="terminal-header" part="header">
+                <div class="terminal-buttons" aria-hidden="true">
+                    <span class="terminal-btn red"></span>
+                    <span class="terminal-btn yellow"></span>
+                    <span class="terminal-btn green"></span>
+                </div>
+                <div class="terminal-title">chetech-agent</div>
+            </div>
+            <div class="terminal-body" part="body" tabindex="0" aria-label="Terminal demo">
+                <div class="terminal-content">
+                    <div class="terminal-line" aria-hidden="true">
+                        <span class="prompt">$</span>
+                        <span class="command"></span>
+                        <span class="cursor">|</span>
+                    </div>
+                    <div class="terminal-output" aria-hidden="true"></div>
+                </div>
+                <div class="sr-only terminal-transcript" role="log" aria-live="polite" aria-label="Terminal demo transcript"></div>
+            </div>
+        </div>
+    `;
+
+    class ChetechTerminalElement extends HTMLElement {
+        static get observedAttributes() {
+            return ['src', 'autoplay', 'theme', 'speed', 'mode', 'stylesheet'];
+        }
+
+        static get engine() {
+            return { TerminalAnimator, VirtualClock, CancelledError, normalizeScenario };
+        }
+
+        constructor() {
+            super();
+            this.animator = new TerminalAnimator();
+            this.loadedScenarios = [];
+            this.loading = null;
+            this.visibilityObserver = null;
+            this.stopMotionWatch = null;
+            this.onVisibilityChange = () => this.setSuspended('hidden', document.hidden);
+            this.onMotionChange = () => {
+                this.animator.reducedMotion = prefersReducedMotion();
+            };
+
+            const root = this.attachShadow({ mode: 'open' });
+            root.innerHTML = `<link rel="stylesheet">${TERMINAL_ELEMENT_HTML}`;
+            this.animator.setElements(root.querySelector('.command'), root.querySelector('.terminal-output'), root.querySelector('.cursor'));
+            const body = root.querySelector('.terminal-body');
+            body.addEventListener('keydown', (e) => this.animator.handlePromptKey(e));
+            // A demo asking a question wants the answer typed here
+            body.addEventListener('click', () => {
+                if (this.animator.prompt) body.focus({ preventScroll: true });
+            });
+
+            TERMINAL_ELEMENT_EVENTS.forEach(type => {
+                this.animator.on(type, detail => {
+                    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true }));
+                });
+            });
+            this.animator.on('sequencestart', ({ scenario }) => {
+                this.shadowRoot.querySelector('.terminal-title').textContent = `chetech-agent · ${scenario.title}`;
+                this.shadowRoot.querySelector('.terminal-transcript').replaceChildren();
+            });
+            this.animator.on('linerendered', ({ step, text }) => {
+                this.announce(step === 0 ? '$ ' + text : stripAnsi(text));
+            });
+            this.animator.on('promptstart', ({ text }) => this.announce(stripAnsi(text)));
+        }
+
+        connectedCallback() {
+            this.applyStylesheet();
+            this.applyMode();
+            this.animator.reducedMotion = prefersReducedMotion();
+            this.stopMotionWatch = onReducedMotionChange(this.onMotionChange);
+            document.addEventListener('visibilitychange', this.onVisibilityChange);
+            this.setSuspended('hidden', document.hidden);
+            if ('IntersectionObserver' in window) {
+                this.visibilityObserver = new IntersectionObserver(entries => {
+                    this.setSuspended('offscreen', !entries[entries.length - 1].isIntersecting);
+                });
+                this.visibilityObserver.observe(this);
+            }
+            if (this.loading) {
+                if (this.autoplay) this.play();
+            } else {
+                this.reload();
+            }
+        }
+
+        disconnectedCallback() {
+            this.animator.stop();
+            this.stopMotionWatch();
+            document.removeEventListener('visibilitychange', this.onVisibilityChange);
+            if (this.visibilityObserver) {
+                this.visibilityObserver.disconnect();
+                this.visibilityObserver = null;
+            }
+        }
+
+        attributeChangedCallback(name, oldValue, value) {
+            if (oldValue === value || !this.isConnected) return;
+            if (name === 'src') {
+                this.reload();
+            } else if (name === 'autoplay') {
+                if (value === null) {
+                    this.stop();
+                } else {
+                    this.play();
+                }
+            } else if (name === 'speed') {
+                this.applySpeed();
+            } else if (name === 'mode' || name === 'theme') {
+                this.applyMode();
+            } else if (name === 'stylesheet') {
+                this.applyStylesheet();
+            }
+        }
+
+        get ready() {
+            return this.loading || this.reload();
+        }
+
+        get scenarios() {
+            return this.loadedScenarios.slice();
+        }
+
+        get currentScenario() {
+            return this.animator.currentScenario;
+        }
+
+        get state() {
+            return this.animator.state;
+        }
+
+        get speed() {
+            return this.animator.scheduler.speed;
+        }
+
+        set speed(value) {
+            this.setAttribute('speed', String(value));
+        }
+
+        get autoplay() {
+            return this.hasAttribute('autoplay');
+        }
+
+        set autoplay(value) {
+            this.toggleAttribute('autoplay', !!value);
+        }
+
+        get sources() {
+            const src = this.getAttribute('src');
+            return src ? src.split(/[\s,]+/).filter(Boolean) : [];
+        }
+
+        // Scenario translations follow the lang the element sits in
+        get locale() {
+            const scope = this.closest('[lang]');
+            const lang = scope ? scope.getAttribute('lang').slice(0, 2).toLowerCase() : DEFAULT_LOCALE;
+            return LOCALES.includes(lang) ? lang : DEFAULT_LOCALE;
+        }
+
+        reload() {
+            const sources = this.sources;
+            const loading = (sources.length
+                ? loadScenarios(sources, this.locale)
+                : Promise.resolve(collectScenarios(defaultScenarios, 'built-in'))
+            ).then(scenarios => {
+                // A newer reload got there first
+                if (this.loading !== loading) return this.loadedScenarios;
+                this.loadedScenarios = scenarios;
+                this.animator.setScenarios(scenarios);
+                this.applySpeed();
+                if (this.autoplay && this.isConnected) {
+                    this.play();
+                } else if (!this.animator.isAutoplay) {
+                    this.drawFinished();
+                }
+                this.dispatchEvent(new CustomEvent('ready', { detail: { scenarios: this.scenarios }, bubbles: true }));
+                return this.loadedScenarios;
+            });
+            this.loading = loading;
+            return loading;
+        }
+
+        play() {
+            this.animator.play();
+        }
+
+        pause() {
+            this.animator.pause();
+        }
+
+        stop() {
+            this.animator.stop();
+        }
+
+        restart() {
+            this.animator.restart();
+        }
+
+        next() {
+            this.animator.skip();
+            if (!this.animator.isAutoplay) this.drawFinished();
+        }
+
+        previous() {
+            this.animator.previous();
+            if (!this.animator.isAutoplay) this.drawFinished();
+        }
+
+        // By scenario id or playlist index; false when there is no such scenario
+        select(target) {
+            const index = typeof target === 'string'
+                ? this.animator.playlist.findIndex(scenario => scenario.id === target)
+                : target;
+            if (!this.animator.select(index)) return false;
+            if (!this.animator.isAutoplay) this.drawFinished();
+            return true;
+        }
+
+        // Stopped, the current scenario shows as it ends: every step at once, no hold
+        drawFinished() {
+            const scenario = this.animator.currentScenario;
+            if (!scenario) return;
+            this.animator.cancel();
+            this.animator.runSequence(scenario, { fromStep: Infinity, hold: 0, index: this.animator.currentSequence }).catch(err => {
+                if (!(err instanceof CancelledError)) {
+                    console.error(`[terminal] Could not draw ${scenario.id}: ${err.message}`);
+                }
+            });
+        }
+
+        applySpeed() {
+            const value = this.getAttribute('speed');
+            const speed = value === null ? 1 : Number(value);
+            if (!(speed > 0) || !Number.isFinite(speed)) {
+                console.warn(`[terminal] Ignoring speed="${value}" on <chetech-terminal>, expected a positive number`);
+                return;
+            }
+            if (speed !== this.speed) {
+                this.animator.setSpeed(speed);
+            }
+        }
+
+        applyStylesheet() {
+            const link = this.shadowRoot.querySelector('link');
+            const href = this.getAttribute('stylesheet') || TERMINAL_STYLESHEET;
+            if (link.getAttribute('href') !== href) link.href = href;
+        }
+
+        // The theme itself is all CSS (:host([theme]) in terminal.css); this only warns about typos
+        applyMode() {
+            const mode = this.getAttribute('mode') || 'window';
+            if (!TERMINAL_ELEMENT_MODES.includes(mode)) {
+                console.warn(`[terminal] Unknown mode "${mode}" on <chetech-terminal>, expected one of: ${TERMINAL_ELEMENT_MODES.join(', ')}`);
+            }
+            this.shadowRoot.querySelector('.terminal-embed').classList.toggle('inline', mode === 'inline');
+            const theme = this.getAttribute('theme');
+            if (theme && !TERMINAL_SCHEMES.some(scheme => scheme.id === theme)) {
+                console.warn(`[terminal] Unknown theme "${theme}" on <chetech-terminal>, expected one of: ${TERMINAL_SCHEMES.map(scheme => scheme.id).join(', ')}`);
+            }
+        }
+
+        setSuspended(reason, suspended) {
+            if (suspended) {
+                this.animator.suspend(reason);
+            } else {
+                this.animator.unsuspend(reason);
+            }
+        }
+
+        announce(text) {
+            if (!text.trim()) return;
+            const transcript = this.shadowRoot.querySelector('.terminal-transcript');
+            const line = document.createElement('div');
+            line.textContent = text;
+            transcript.appendChild(line);
+            while (transcript.childElementCount > TRANSCRIPT_MAX_LINES) {
+                transcript.firstElementChild.remove();
+            }
+        }
+    }
+
+    if (window.customElements && !customElements.get('chetech-terminal')) {
+        customElements.define('chetech-terminal', ChetechTerminalElement);
+    }
+
+    // ===================================
+    // Localization
+    // ===================================
+    const LOCALES = ['en', 'sv'];
+    // Each language named in itself, for the switchers
+    const LOCALE_NAMES = { en: 'English', sv: 'Svenska' };
+    const DEFAULT_LOCALE = 'en';
+    const LOCALE_STORAGE_KEY = 'chetech.locale';
+    const CATALOG_FORMAT_VERSION = 1;
+
+    // Local copies and ?debug get warnings about strings nobody has translated yet
+    const DEV_MODE = ['localhost', '127.0.0.1', ''].includes(window.location.hostname) ||
+        new URL(window.location.href).searchParams.has('debug');
+
+    // The visitor's earlier choice, else the first browser language we have, else English
+    function detectLocale() {
+        try {
+            const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+            if (LOCALES.includes(saved)) return saved;
+        } catch (err) {
+            // Storage can be blocked altogether
+        }
+        const preferred = (navigator.languages && navigator.languages.length)
+            ? navigator.languages
+            : [navigator.language];
+        const match = preferred
+            .map(tag => String(tag || '').toLowerCase().split('-')[0])
+            .find(lang => LOCALES.includes(lang));
+        return match || DEFAULT_LOCALE;
+    }
+
+    async function fetchCatalog(locale) {
+        const response = await fetch(`locales/${locale}.json`, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        if (!data || data.version !== CATALOG_FORMAT_VERSION) {
+            throw new Error(`unsupported format version ${JSON.stringify(data && data.version)} (expected ${CATALOG_FORMAT_VERSION})`);
+        }
+        if (!data.messages || typeof data.messages !== 'object') {
+            throw new Error('"messages" must be an object');
+        }
+        return data.messages;
+    }
+
+    // Page text is marked up in index.html:
+    //   data-i18n="key"                       replaces the element's text
+    //   data-i18n-attr="content:key; alt:key" replaces attributes
+    // The English in the markup stays the last resort when a catalog can't be loaded.
+    class I18n extends Emitter {
+        constructor() {
+            super();
+            this.locale = detectLocale();
+            this.catalogs = new Map();
+            this.loading = new Map();
+            // element -> { text | attribute name: { key, value } }, as first found in the page
+            this.originals = new WeakMap();
+        }
+
+        // Callers asking for the same catalog while it's on its way share one request
+        load(locale) {
+            if (!this.loading.has(locale)) {
+                this.loading.set(locale, fetchCatalog(locale)
+                    .catch(err => {
+                        console.error(`[i18n] Could not load locales/${locale}.json: ${err.message}`);
+                        return {};
+                    })
+                    .then(messages => {
+                        this.catalogs.set(locale, messages);
+                        return messages;
+                    }));
+            }
+            return this.loading.get(locale);
+        }
+
+        // Resolves once the strings for the current language are in
+        ready() {
+            return Promise.all([this.load(DEFAULT_LOCALE), this.load(this.locale)]);
+        }
+
+        lookup(key) {
+            const messages = this.catalogs.get(this.locale) || {};
+            const fallback = this.catalogs.get(DEFAULT_LOCALE) || {};
+            if (typeof messages[key] === 'string') return messages[key];
+            if (typeof fallback[key] === 'string') return fallback[key];
+            return null;
+        }
+
+        // `{name}` placeholders are filled from params
+        t(key, params = {}) {
+            const message = this.lookup(key);
+            if (message === null) return key;
+            return message.replace(/\{(\w+)\}/g, (match, name) =>
+                params[name] !== undefined ? String(params[name]) : match);
+        }
+
+        translate(el, slot, key, current) {
+            let originals = this.originals.get(el);
+            if (!originals) {
+                originals = {};
+                this.originals.set(el, originals);
+            }
+            // A key swapped in by script (the maximize label, say) starts from what the element shows now
+            if (!originals[slot] || originals[slot].key !== key) {
+                originals[slot] = { key, value: current };
+            }
+            const message = this.lookup(key);
+            return message !== null ? message : originals[slot].value;
+        }
+
+        apply(root = document) {
+            const matching = (selector) => {
+                const found = Array.from(root.querySelectorAll(selector));
+                return root.matches && root.matches(selector) ? [root, ...found] : found;
+            };
+            matching('[data-i18n]').forEach(el => {
+                el.textContent = this.translate(el, 'text', el.dataset.i18n, el.textContent);
+            });
+            matching('[data-i18n-attr]').forEach(el => {
+                el.dataset.i18nAttr.split(';').forEach(pair => {
+                    const [attr, key] = pair.split(':').map(part => part.trim());
+                    if (!attr || !key) return;
+                    el.setAttribute(attr, this.translate(el, attr, key, el.getAttribute(attr) || ''));
+                });
+            });
+        }
+
+        // Keys the page or the English catalog use that the current locale lacks
+        missingKeys() {
+            if (this.locale === DEFAULT_LOCALE) return [];
+            const messages = this.catalogs.get(this.locale) || {};
+            const keys = new Set(Object.keys(this.catalogs.get(DEFAULT_LOCALE) || {}));
+            document.querySelectorAll('[data-i18n]').forEach(el => keys.add(el.dataset.i18n));
+            document.querySelectorAll('[data-i18n-attr]').forEach(el => {
+                el.dataset.i18nAttr.split(';').forEach(pair => {
+                    const key = (pair.split(':')[1] || '').trim();
+                    if (key) keys.add(key);
+                });
+            });
+            return Array.from(keys).filter(key => typeof messages[key] !== 'string').sort();
+        }
+
+        async setLocale(locale, { persist = true } = {}) {
+            if (!LOCALES.includes(locale)) {
+                throw new RangeError(`Unknown locale "${locale}"`);
+            }
+            const changed = locale !== this.locale;
+            this.locale = locale;
+            if (persist) {
+                try {
+                    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+                } catch (err) {
+                    // Not fatal; the choice just won't outlive the page
+                }
+            }
+            await Promise.all([this.load(DEFAULT_LOCALE), this.load(locale)]);
+            // Another switch may have happened while the catalogs loaded
+            if (this.locale !== locale) return;
+
+            document.documentElement.lang = locale;
+            this.apply();
+            document.querySelectorAll('[data-lang]').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.lang === locale));
+            });
+
+            if (DEV_MODE) {
+                const missing = this.missingKeys();
+                if (missing.length > 0) {
+                    console.warn(`[i18n] ${missing.length} untranslated string(s) in "${locale}", showing English:\n  - ${missing.join('\n  - ')}`);
+                }
+            }
+            if (changed) {
+                this.emit('localechange', { locale });
+            }
+        }
+    }
+
+    const i18n = new I18n();
+
+    // Resolves once the page shows the visitor's language
+    function initLanguageSwitcher() {
+        document.querySelectorAll('[data-lang]').forEach(button => {
+            button.addEventListener('click', () => i18n.setLocale(button.dataset.lang));
+        });
+        return i18n.setLocale(i18n.locale, { persist: false });
+    }
+
+    // ===================================
+    // Themes
+    // ===================================
+    const THEMES = ['light', 'dark'];
+    const THEME_STORAGE_KEY = 'chetech.theme';
+    const TERMINAL_SCHEME_STORAGE_KEY = 'chetech.terminal-scheme';
+
+    // Each scheme is a token set in terminal.css, keyed by data-terminal-scheme on <html>.
+    // The first one is the default and lives in :root.
+    const TERMINAL_SCHEMES = [
+        { id: 'chetech', name: 'Chetech' },
+        { id: 'chetech-light', name: 'Chetech Light' },
+        { id: 'dracula', name: 'Dracula' },
+        { id: 'solarized-dark', name: 'Solarized Dark' },
+        { id: 'solarized-light', name: 'Solarized Light' },
+        { id: 'gruvbox', name: 'Gruvbox' },
+        { id: 'high-contrast', name: 'High Contrast' }
+    ];
+    const DEFAULT_TERMINAL_SCHEME = TERMINAL_SCHEMES[0].id;
+
+    function readStoredChoice(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (err) {
+            // Storage can be blocked altogether
+            return null;
+        }
+    }
+
+    function storeChoice(key, value) {
+        try {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, value);
+            }
+        } catch (err) {
+            // Not fatal; the choice just won't outlive the page
+        }
+    }
+
+    // Page theme and terminal scheme. The inline script in index.html has already
+    // applied both before the first paint; this keeps them in step from then on.
+    class ThemeManager extends Emitter {
+        constructor() {
+            super();
+            const theme = readStoredChoice(THEME_STORAGE_KEY);
+            const scheme = readStoredChoice(TERMINAL_SCHEME_STORAGE_KEY);
+            // null follows the system setting
+            this.choice = THEMES.includes(theme) ? theme : null;
+            this.scheme = TERMINAL_SCHEMES.some(s => s.id === scheme) ? scheme : DEFAULT_TERMINAL_SCHEME;
+            this.systemQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        }
+
+        get theme() {
+            if (this.choice) return this.choice;
+            return this.systemQuery && this.systemQuery.matches ? 'dark' : 'light';
+        }
+
+        get followsSystem() {
+            return this.choice === null;
+        }
+
+        init() {
+            if (this.systemQuery) {
+                const onChange = () => {
+                    if (this.followsSystem) this.apply();
+                };
+                // Older Safari only has the MediaQueryList listener API
+                if (this.systemQuery.addEventListener) {
+                    this.systemQuery.addEventListener('change', onChange);
+                } else if (this.systemQuery.addListener) {
+                    this.systemQuery.addListener(onChange);
+                }
+            }
+            this.apply();
+        }
+
+        // A theme of null goes back to following the system
+        setTheme(theme) {
+            if (theme !== null && !THEMES.includes(theme)) {
+                throw new RangeError(`Unknown theme "${theme}"`);
+            }
+            this.choice = theme;
+            storeChoice(THEME_STORAGE_KEY, theme);
+            this.apply();
+        }
+
+        toggleTheme() {
+            this.setTheme(this.theme === 'dark' ? 'light' : 'dark');
+        }
+
+        setScheme(id) {
+            if (!TERMINAL_SCHEMES.some(s => s.id === id)) {
+                throw new RangeError(`Unknown terminal scheme "${id}"`);
+            }
+            this.scheme = id;
+            storeChoice(TERMINAL_SCHEME_STORAGE_KEY, id === DEFAULT_TERMINAL_SCHEME ? null : id);
+            this.apply();
+        }
+
+        apply() {
+            const root = document.documentElement;
+            const theme = this.theme;
+            const changed = root.getAttribute('data-theme') !== theme ||
+                (root.getAttribute('data-terminal-scheme') || DEFAULT_TERMINAL_SCHEME) !== this.scheme;
+
+            root.setAttribute('data-theme', theme);
+            if (this.scheme === DEFAULT_TERMINAL_SCHEME) {
+                root.removeAttribute('data-terminal-scheme');
+            } else {
+                root.setAttribute('data-terminal-scheme', this.scheme);
+            }
+            document.querySelectorAll('.theme-toggle').forEach(button => {
+                button.setAttribute('aria-pressed', String(theme === 'dark'));
+            });
+            if (changed) {
+                this.emit('themechange', { theme, scheme: this.scheme });
+            }
+        }
+    }
+
+    const themes = new ThemeManager();
+
+    function initThemeToggle() {
+        document.querySelectorAll('.theme-toggle').forEach(button => {
+            button.addEventListener('click', () => themes.toggleTheme());
+        });
+        themes.init();
+    }
+
+    function themeActions() {
+        const items = [{
+            id: 'theme:toggle',
+            group: 'theme',
+            title: i18n.t(themes.theme === 'dark' ? 'palette.lightTheme' : 'palette.darkTheme'),
+            run: () => themes.toggleTheme()
+        }];
+        if (!themes.followsSystem) {
+            items.push({
+                id: 'theme:system',
+                group: 'theme',
+                title: i18n.t('palette.systemTheme'),
+                run: () => themes.setTheme(null)
+            });
+        }
+        TERMINAL_SCHEMES.filter(scheme => scheme.id !== themes.scheme).forEach(scheme => {
+            items.push({
+                id: 'scheme:' + scheme.id,
+                group: 'theme',
+                title: i18n.t('palette.terminalScheme', { scheme: scheme.name }),
+                detail: scheme.id,
+                run: () => themes.setScheme(scheme.id)
+            });
+        });
+        return items;
+    }
+
+    // ===================================
+    // Analytics
+    // ===================================
+    // First-party counting of what visitors do on the page. Everything goes through
+    // analytics.track() and out on its 'event' bus; the same events are batched to
+    // the endpoint in <meta name="analytics-endpoint"> with sendBeacon, but only
+    // once the visitor has agreed and never with Do Not Track or GPC on. The site
+    // sets no cookies and the session id lasts one page view, so nothing in a batch
+    // can tell two visits apart.
+    const ANALYTICS_FORMAT_VERSION = 1;
+    const ANALYTICS_CONSENT_KEY = 'chetech.analytics';
+    const ANALYTICS_BATCH_SIZE = 20;
+    const ANALYTICS_FLUSH_DELAY = 10000;
+    // Events kept for the debug panel
+    const ANALYTICS_LOG_SIZE = 100;
+    // Every event type and the properties it may carry
+    const ANALYTICS_EVENTS = {
+        'terminal.open': ['window', 'auto'],
+        'terminal.close': ['window'],
+        'terminal.minimize': ['window'],
+        'terminal.maximize': ['window'],
+        'scenario.complete': ['scenario', 'window'],
+        'nav.click': ['target', 'from'],
+        'section.view': ['section'],
+        'contact.click': ['channel', 'from']
+    };
+
+    // Returns a list of problems; an empty list means the event can go out
+    function validateAnalyticsEvent(type, props) {
+        const allowed = ANALYTICS_EVENTS[type];
+        if (!allowed) return [`unknown event type "${type}"`];
+        const errors = [];
+        Object.keys(props).forEach(key => {
+            if (!allowed.includes(key)) {
+                errors.push(`"${key}" is not a property of ${type} (expected ${allowed.join(', ')})`);
+            } else if (!['string', 'number', 'boolean'].includes(typeof props[key])) {
+                errors.push(`"${key}" must be a string, number or boolean`);
+            }
+        });
+        return errors;
+    }
+
+    function doNotTrack() {
+        return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+    }
+
+    // The configured endpoint, if it is on this site. Anything on another origin
+    // would turn this into a third-party tracker, so it is refused.
+    function analyticsEndpoint() {
+        const meta = document.querySelector('meta[name="analytics-endpoint"]');
+        const value = meta ? meta.content.trim() : '';
+        if (!value) return null;
+        let url;
+        try {
+            url = new URL(value, window.location.href);
+        } catch (err) {
+            console.error(`[analytics] Ignoring the endpoint "${value}": not a URL`);
+            return null;
+        }
+        if (url.origin !== window.location.origin) {
+            console.error(`[analytics] Ignoring the endpoint ${url.href}: it must be on ${window.location.origin}`);
+            return null;
+        }
+        return url.href;
+    }
+
+    // Events: event ({ event, queued }), flush ({ count, ok }) and consentchange ({ consent })
+    class Analytics extends Emitter {
+        constructor() {
+            super();
+            this.endpoint = null;
+            // 'granted', 'denied', or null while the visitor hasn't been asked
+            this.consent = null;
+            this.session = Math.random().toString(36).slice(2, 10);
+            this.queue = [];
+            this.flushTimeout = null;
+            this.log = [];
+        }
+
+        get isSending() {
+            return !!this.endpoint && this.consent === 'granted' && !doNotTrack();
+        }
+
+        // Only worth asking when something would be sent and the browser hasn't answered already
+        get canAsk() {
+            return !!this.endpoint && !doNotTrack();
+        }
+
+        init() {
+            this.endpoint = analyticsEndpoint();
+            const consent = readStoredChoice(ANALYTICS_CONSENT_KEY);
+            this.consent = ['granted', 'denied'].includes(consent) ? consent : null;
+            // The last chance to send what's queued, and one that mobile browsers do fire
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+            window.addEventListener('pagehide', () => this.flush());
+        }
+
+        setConsent(granted) {
+            this.consent = granted ? 'granted' : 'denied';
+            storeChoice(ANALYTICS_CONSENT_KEY, this.consent);
+            if (!granted) {
+                clearTimeout(this.flushTimeout);
+                this.queue = [];
+            }
+            this.emit('consentchange', { consent: this.consent });
+        }
+
+        track(type, props = {}) {
+            const errors = validateAnalyticsEvent(type, props);
+            if (errors.length > 0) {
+                console.error(`[analytics] Dropping ${type}:\n  - ${errors.join('\n  - ')}`);
+                return;
+            }
+            const event = { type, time: Math.round(performance.now()), props };
+            this.log.push(event);
+            if (this.log.length > ANALYTICS_LOG_SIZE) {
+                this.log.shift();
+            }
+            const queued = this.isSending;
+            if (queued) {
+                this.queue.push(event);
+                if (this.queue.length >= ANALYTICS_BATCH_SIZE) {
+                    this.flush();
+                } else if (this.flushTimeout === null) {
+                    this.flushTimeout = setTimeout(() => this.flush(), ANALYTICS_FLUSH_DELAY);
+                }
+            }
+            this.emit('event', { event, queued });
+        }
+
+        flush() {
+            clearTimeout(this.flushTimeout);
+            this.flushTimeout = null;
+            if (this.queue.length === 0 || !this.isSending) return;
+            const events = this.queue;
+            this.queue = [];
+            const batch = {
+                version: ANALYTICS_FORMAT_VERSION,
+                session: this.session,
+                page: window.location.pathname,
+                locale: i18n.locale,
+                events
+            };
+            const body = new Blob([JSON.stringify(batch)], { type: 'application/json' });
+            let ok = true;
+            if (navigator.sendBeacon) {
+                ok = navigator.sendBeacon(this.endpoint, body);
+            } else {
+                fetch(this.endpoint, { method: 'POST', body, keepalive: true, credentials: 'omit' }).catch(() => {
+                    // Lost; nothing here is worth retrying
+                });
+            }
+            if (!ok) {
+                console.warn(`[analytics] The browser wouldn't queue a batch of ${events.length} events`);
+            }
+            this.emit('flush', { count: events.length, ok });
+        }
+    }
+
+    const analytics = new Analytics();
+
+    // Asks once, at the bottom of the page, and only when there is somewhere to send to
+    function initAnalyticsConsent() {
+        const prompt = document.querySelector('.analytics-consent');
+        if (!prompt) return;
+        const update = () => {
+            prompt.hidden = !analytics.canAsk || analytics.consent !== null;
+        };
+        prompt.querySelectorAll('[data-consent]').forEach(button => {
+            button.addEventListener('click', () => analytics.setConsent(button.dataset.consent === 'granted'));
+        });
+        analytics.on('consentchange', update);
+        update();
+    }
+
+    // Which contact link was used, by a name that doesn't carry the address
+    function contactChannel(link) {
+        const href = link.getAttribute('href') || '';
+        if (href.startsWith('mailto:')) return 'email';
+        try {
+            return new URL(href, window.location.href).hostname.replace(/^www\./, '').split('.')[0];
+        } catch (err) {
+            return 'other';
+        }
+    }
+
+    function initContactTracking() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.contact-method, a[href^="mailto:"]');
+            if (!link) return;
+            const section = link.closest('section[id]');
+            analytics.track('contact.click', { channel: contactChannel(link), from: section ? section.id : 'page' });
+        });
+    }
+
+    // Every event as it happens, newest first, with whether it would leave the page.
+    // Opens with ?analytics in the URL, from the palette in dev mode, or chetechDebug.analytics().
+    const ANALYTICS_PANEL_HTML = `
+        <div class="analytics-panel-header">
+            <strong>Analytics events</strong>
+            <button type="button" class="analytics-panel-close" aria-label="Close">&times;</button>
+        </div>
+        <p class="analytics-panel-status"></p>
+        <ol class="analytics-panel-log"></ol>
+    `;
+
+    class AnalyticsPanel {
+        constructor() {
+            this.element = null;
+        }
+
+        get isOpen() {
+            return !!this.element;
+        }
+
+        status() {
+            if (!analytics.endpoint) return 'Not sending: no analytics-endpoint configured';
+            if (doNotTrack()) return 'Not sending: Do Not Track or Global Privacy Control is on';
+            if (analytics.consent === null) return `Not sending until the visitor agrees (endpoint ${analytics.endpoint})`;
+            if (analytics.consent === 'denied') return 'Not sending: the visitor said no';
+            return `Sending to ${analytics.endpoint}, ${analytics.queue.length} queued`;
+        }
+
+        open() {
+            if (this.element) return;
+            this.element = document.createElement('aside');
+            this.element.className = 'analytics-panel';
+            this.element.setAttribute('aria-label', 'Analytics events');
+            this.element.innerHTML = ANALYTICS_PANEL_HTML;
+            this.element.querySelector('.analytics-panel-close').addEventListener('click', () => this.close());
+            document.body.appendChild(this.element);
+            analytics.log.forEach(event => this.add(event, false));
+            this.updateStatus();
+            this.unsubscribe = [
+                analytics.on('event', ({ event, queued }) => {
+                    this.add(event, queued);
+                    this.updateStatus();
+                }),
+                analytics.on('flush', () => this.updateStatus()),
+                analytics.on('consentchange', () => this.updateStatus())
+            ];
+        }
+
+        close() {
+            if (!this.element) return;
+            this.unsubscribe.forEach(off => off());
+            this.element.remove();
+            this.element = null;
+        }
+
+        toggle() {
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
+        }
+
+        updateStatus() {
+            this.element.querySelector('.analytics-panel-status').textContent = this.status();
+        }
+
+        add(event, queued) {
+            const item = document.createElement('li');
+            item.classList.toggle('queued', queued);
+            const props = Object.keys(event.props).map(key => `${key}=${event.props[key]}`).join(' ');
+            item.textContent = `${(event.time / 1000).toFixed(1)}s ${event.type} ${props}`;
+            const log = this.element.querySelector('.analytics-panel-log');
+            log.prepend(item);
+            while (log.childElementCount > ANALYTICS_LOG_SIZE) {
+                log.lastElementChild.remove();
+            }
+        }
+    }
+
+    const analyticsPanel = new AnalyticsPanel();
+
+    function analyticsActions() {
+        const items = [];
+        if (analytics.canAsk) {
+            const granted = analytics.consent === 'granted';
+            items.push({
+                id: 'analytics:consent',
+                group: 'privacy',
+                title: i18n.t(granted ? 'palette.analyticsStop' : 'palette.analyticsAllow'),
+                run: () => analytics.setConsent(!granted)
+            });
+        }
+        if (DEV_MODE || analyticsPanel.isOpen) {
+            items.push({
+                id: 'analytics:panel',
+                group: 'privacy',
+                title: i18n.t(analyticsPanel.isOpen ? 'palette.analyticsHidePanel' : 'palette.analyticsShowPanel'),
+                run: () => analyticsPanel.toggle()
+            });
+        }
+        return items;
+    }
+
+    // ===================================
+    // Navigation
+    // ===================================
+    // Scrolling less than this in one direction doesn't show or hide the header
+    const NAV_HIDE_THRESHOLD = 8;
+
+    function initNavigation() {
+        const nav = document.getElementById('nav');
+        const navToggle = document.getElementById('nav-toggle');
+        const navLinks = document.getElementById('nav-links');
+        const progressBar = nav.querySelector('.nav-progress-bar');
+        const links = Array.from(navLinks.querySelectorAll('a[href^="#"]'));
+        const sections = links
+            .map(link => document.getElementById(link.getAttribute('href').slice(1)))
+            .filter(Boolean);
+
+        const isMenuOpen = () => navLinks.classList.contains('active');
+        const setMenuOpen = (open) => {
+            navToggle.classList.toggle('active', open);
+            navLinks.classList.toggle('active', open);
+            navToggle.setAttribute('aria-expanded', String(open));
+            if (open) {
+                nav.classList.remove('nav-hidden');
+            }
+        };
+
+        // Scroll-spy: the first section overlapping the band just under the header
+        // is the current one. At the very bottom the last section wins, since a
+        // short final section may never reach the band.
+        const visibleSections = new Set();
+        const viewedSections = new Set();
+        let currentSection = null;
+        const markCurrentSection = () => {
+            const atBottom = window.innerHeight + window.pageYOffset >= document.documentElement.scrollHeight - 2;
+            const current = atBottom && visibleSections.size > 0
+                ? sections[sections.length - 1]
+                : sections.find(section => visibleSections.has(section));
+            currentSection = current || null;
+            // Counted once per page view, the first time each section becomes the current one
+            if (current && !viewedSections.has(current)) {
+                viewedSections.add(current);
+                analytics.track('section.view', { section: current.id });
+            }
+
+            links.forEach(link => {
+                const isCurrent = !!current && link.getAttribute('href') === '#' + current.id;
+                link.classList.toggle('active', isCurrent);
+                if (isCurrent) {
+                    link.setAttribute('aria-current', 'location');
+                } else {
+                    link.removeAttribute('aria-current');
+                }
+            });
+        };
+
+        const spy = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    visibleSections.add(entry.target);
+                } else {
+                    visibleSections.delete(entry.target);
+                }
+            });
+            markCurrentSection();
+        }, { rootMargin: `-${nav.offsetHeight}px 0px -60% 0px` });
+        sections.forEach(section => spy.observe(section));
+
+        // Scroll effects: shadow, hide on the way down and show on the way up,
+        // reading progress. Batched to one update per frame.
+        let lastScroll = window.pageYOffset;
+        let scrollFrame = null;
+        const updateOnScroll = () => {
+            scrollFrame = null;
+            const currentScroll = window.pageYOffset;
+            nav.classList.toggle('scrolled', currentScroll > 50);
+
+            // Stay put while the menu is open, while a maximized or snapped terminal
+            // hangs right under the header, or while the keyboard is in the nav
+            const keepVisible = isMenuOpen() ||
+                document.body.classList.contains('terminal-maximized') ||
+                nav.contains(document.activeElement);
+            const delta = currentScroll - lastScroll;
+            if (keepVisible || currentScroll <= nav.offsetHeight) {
+                nav.classList.remove('nav-hidden');
+                lastScroll = currentScroll;
+            } else if (Math.abs(delta) > NAV_HIDE_THRESHOLD) {
+                nav.classList.toggle('nav-hidden', delta > 0);
+                lastScroll = currentScroll;
+            }
+
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            const progress = scrollable > 0 ? Math.min(1, currentScroll / scrollable) : 0;
+            progressBar.style.transform = `scaleX(${progress})`;
+            markCurrentSection();
+        };
+        const scheduleUpdate = () => {
+            if (scrollFrame === null) {
+                scrollFrame = requestAnimationFrame(updateOnScroll);
+            }
+        };
+        window.addEventListener('scroll', scheduleUpdate, { passive: true });
+        window.addEventListener('resize', scheduleUpdate);
+        nav.addEventListener('focusin', () => nav.classList.remove('nav-hidden'));
+        updateOnScroll();
+
+        // Mobile toggle
+        navToggle.setAttribute('aria-expanded', 'false');
+        navToggle.addEventListener('click', () => setMenuOpen(!isMenuOpen()));
+
+        // Close mobile nav on link click
+        navLinks.querySelectorAll('a').forEach(link => {
+            link.addEventListener('click', () => setMenuOpen(false));
+        });
+
+        links.forEach(link => {
+            link.addEventListener('click', () => {
+                analytics.track('nav.click', {
+                    target: link.getAttribute('href').slice(1),
+                    from: currentSection ? currentSection.id : 'top'
+                });
+            });
+        });
+    }
+
+    // ===================================
+    // Scroll Animations
+    // ===================================
+    const ANIMATED_ELEMENTS = '.service-card, .timeline-item, .featured-project, .github-profile, .about-content, .project-card';
+
+    // Cards fade in as they scroll into view. Returns a function that does the same
+    // for elements added later, such as the sections rendered from content.json.
+    function initScrollAnimations() {
+        // Content is simply there when the visitor has asked for less motion
+        if (prefersReducedMotion()) return () => {};
+
+        const observerOptions = {
+            threshold: 0.1,
+            rootMargin: '0px 0px -50px 0px'
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('visible');
+                }
+            });
+        }, observerOptions);
+
+        // Add fade-in class to elements
+        const animate = (root) => {
+            root.querySelectorAll(ANIMATED_ELEMENTS).forEach(el => {
+                el.classList.add('fade-in');
+                observer.observe(el);
+            });
+        };
+        animate(document);
+        return animate;
+    }
+
+    // ===================================
+    // Page Content
+    // ===================================
+    // Services, the experience timeline and the open source projects come from
+    // content.json. index.html carries a static copy of the same markup, written by
+    // tools/build-content.js, for crawlers and for when the file can't be loaded.
+    const CONTENT_URL = 'content.json';
+    const CONTENT_FORMAT_VERSION = 1;
+    // Ids become part of the i18n keys: services.<id>.title and so on
+    const CONTENT_ID = /^[a-z][\w-]*$/;
+    // Icons shared by every project card
+    const GITHUB_REPO_ICON = '<path d="M9 19c-5 1.5-5-2.5-7-3m14 6v-3.87a3.37 3.37 0 0 0-.94-2.61c3.14-.35 6.44-1.54 6.44-7A5.44 5.44 0 0 0 20 4.77 5.07 5.07 0 0 0 19.91 1S18.73.65 16 2.48a13.38 13.38 0 0 0-7 0C6.27.65 5.09 1 5.09 1A5.07 5.07 0 0 0 5 4.77a5.44 5.44 0 0 0-1.5 3.78c0 5.42 3.3 6.61 6.44 7A3.37 3.37 0 0 0 9 18.13V22"/>';
+    const EXTERNAL_LINK_ICON = '<path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/><polyline points="15,3 21,3 21,9"/><line x1="10" y1="14" x2="21" y2="3"/>';
+    // The string fields every entry of each list needs
+    const CONTENT_FIELDS = {
+        services: ['id', 'icon', 'title', 'body'],
+        experience: ['id', 'title', 'start', 'role', 'description'],
+        projects: ['id', 'name', 'url', 'description']
+    };
+
+    // Returns a list of problems; an empty list means the entry is usable
+    function validateContentEntry(list, raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return ['must be an object'];
+        }
+        const errors = [];
+        CONTENT_FIELDS[list].forEach(field => {
+            if (typeof raw[field] !== 'string' || raw[field].trim() === '') {
+                errors.push(`"${field}" must be a non-empty string`);
+            }
+        });
+        if (typeof raw.id === 'string' && !CONTENT_ID.test(raw.id)) {
+            errors.push(`"id" must be lowercase letters, digits, "-" or "_", got ${JSON.stringify(raw.id)}`);
+        }
+        if (list === 'services' && raw.features !== undefined) {
+            const valid = Array.isArray(raw.features) && raw.features.every(feature =>
+                feature && typeof feature.id === 'string' && CONTENT_ID.test(feature.id) &&
+                typeof feature.text === 'string');
+            if (!valid) {
+                errors.push('"features" must be a list of { id, text }');
+            }
+        }
+        if (list === 'experience' && raw.end !== null && raw.end !== undefined && typeof raw.end !== 'string') {
+            errors.push('"end" must be a string, or null while it is still going on');
+        }
+        return errors;
+    }
+
+    async function fetchContent() {
+        const response = await fetch(CONTENT_URL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        if (!data || data.version !== CONTENT_FORMAT_VERSION) {
+            throw new Error(`unsupported format version ${JSON.stringify(data && data.version)} (expected ${CONTENT_FORMAT_VERSION})`);
+        }
+        return data;
+    }
+
+    // Lists from the content file with the unusable entries dropped and logged.
+    // A list that is missing or ends up empty is left out, keeping the static copy.
+    function collectContent(data) {
+        const content = {};
+        Object.keys(CONTENT_FIELDS).forEach(list => {
+            if (!Array.isArray(data[list])) {
+                console.error(`[content] "${list}" must be an array, keeping the static copy`);
+                return;
+            }
+            const seen = new Set();
+            const entries = data[list].filter((raw, i) => {
+                const errors = validateContentEntry(list, raw);
+                if (errors.length === 0 && seen.has(raw.id)) {
+                    errors.push('id is already used by an earlier entry');
+                }
+                if (errors.length > 0) {
+                    const label = `${list}[${i}]` + (raw && typeof raw.id === 'string' ? ` ("${raw.id}")` : '');
+                    console.error(`[content] Skipping ${label}:\n  - ${errors.join('\n  - ')}`);
+                    return false;
+                }
+                seen.add(raw.id);
+                return true;
+            });
+            if (entries.length > 0) {
+                content[list] = entries;
+            }
+        });
+        return content;
+    }
+
+    // The markup below must match what tools/build-content.js writes into index.html
+
+    function serviceCardHtml(service) {
+        const key = `services.${service.id}`;
+        const features = (service.features || []).map(feature =>
+            `<li data-i18n="${key}.${feature.id}">${escapeXml(feature.text)}</li>`).join('');
+        return `<div class="service-card${service.featured ? ' service-card-primary' : ''}">` +
+            '<div class="service-icon"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' +
+            `${service.icon}</svg></div>` +
+            `<h3 data-i18n="${key}.title">${escapeXml(service.title)}</h3>` +
+            `<p data-i18n="${key}.body">${escapeXml(service.body)}</p>` +
+            (features ? `<ul class="service-features">${features}</ul>` : '') +
+            '</div>';
+    }
+
+    function timelineItemHtml(entry) {
+        const key = `experience.${entry.id}`;
+        const end = entry.end ? escapeXml(entry.end) : '<span data-i18n="experience.present">Present</span>';
+        return '<div class="timeline-item"><div class="timeline-marker"></div><div class="timeline-content">' +
+            '<div class="timeline-header">' +
+            `<h3 data-i18n="${key}.title">${escapeXml(entry.title)}</h3>` +
+            `<span class="timeline-date">${escapeXml(entry.start)} - ${end}</span>` +
+            '</div>' +
+            `<p class="timeline-role" data-i18n="${key}.role">${escapeXml(entry.role)}</p>` +
+            `<p class="timeline-description" data-i18n="${key}.description">${escapeXml(entry.description)}</p>` +
+            '</div></div>';
+    }
+
+    function projectHtml(project) {
+        return '<div class="featured-project"><div class="project-header">' +
+            `<svg class="project-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${GITHUB_REPO_ICON}</svg>` +
+            `<h3>${escapeXml(project.name)}</h3>` +
+            '</div>' +
+            `<p class="project-description" data-i18n="opensource.${project.id}.description">${escapeXml(project.description)}</p>` +
+            `<a href="${escapeXml(project.url)}" target="_blank" rel="noopener" class="project-link">` +
+            '<span data-i18n="opensource.viewOnGithub">View on GitHub</span>' +
+            `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${EXTERNAL_LINK_ICON}</svg>` +
+            '</a></div>';
+    }
+
+    const CONTENT_RENDERERS = {
+        services: serviceCardHtml,
+        experience: timelineItemHtml,
+        projects: projectHtml
+    };
+
+    // Fingerprint of a list as the build tool saw it, stamped on its container
+    function contentHash(entries) {
+        return fnv1a(JSON.stringify(entries)).toString(36);
+    }
+
+    // Render each list into its [data-content] container, unless the static copy
+    // already came from the same data. Returns the containers that changed.
+    function renderContent(content) {
+        const changed = [];
+        Object.keys(content).forEach(list => {
+            const container = document.querySelector(`[data-content="${list}"]`);
+            if (!container) return;
+            const hash = contentHash(content[list]);
+            if (container.dataset.contentHash === hash) return;
+            container.innerHTML = content[list].map(CONTENT_RENDERERS[list]).join('');
+            container.dataset.contentHash = hash;
+            changed.push(container);
+        });
+        return changed;
+    }
+
+    async function loadContent() {
+        try {
+            return renderContent(collectContent(await fetchContent()));
+        } catch (err) {
+            console.error(`[content] Could not load ${CONTENT_URL}, keeping the static copy: ${err.message}`);
+            return [];
+        }
+    }
+
+    // ===================================
+    // Project Gallery
+    // ===================================
+    // Every repository worth showing, from a manifest that tools/build-projects.js
+    // regenerates from saved GitHub data and local clones. The gallery stays hidden
+    // until the manifest has loaded.
+    const PROJECTS_FORMAT_VERSION = 1;
+    const PROJECT_SORTS = ['updated', 'stars', 'name'];
+    const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+    const PROJECT_MODAL_HTML = `
+        <div class="project-modal" role="dialog" aria-modal="true" aria-labelledby="project-modal-title">
+            <button type="button" class="project-modal-close" aria-label="Close" title="Close"
+                    data-i18n-attr="aria-label:gallery.close; title:gallery.close">&times;</button>
+            <h3 class="project-modal-title" id="project-modal-title"></h3>
+            <p class="project-stats"></p>
+            <p class="project-modal-description"></p>
+            <blockquote class="project-modal-readme"></blockquote>
+            <ul class="project-tags-list"></ul>
+            <div class="project-modal-footer">
+                <button type="button" class="project-modal-nav" data-step="-1" aria-label="Previous project" title="Previous project"
+                        data-i18n-attr="aria-label:gallery.previous; title:gallery.previous">&larr;</button>
+                <a class="project-link" target="_blank" rel="noopener">
+                    <span data-i18n="opensource.viewOnGithub">View on GitHub</span>
+                </a>
+                <button type="button" class="project-modal-nav" data-step="1" aria-label="Next project" title="Next project"
+                        data-i18n-attr="aria-label:gallery.next; title:gallery.next">&rarr;</button>
+            </div>
+        </div>
+    `;
+
+    // Returns a list of problems; an empty list means the entry is usable
+    function validateProject(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return ['must be an object'];
+        }
+        const errors = [];
+        if (typeof raw.name !== 'string' || raw.name.trim() === '') {
+            errors.push('"name" must be a non-empty string');
+        }
+        if (typeof raw.url !== 'string' || !/^https?:\/\//.test(raw.url)) {
+            errors.push('"url" must be an http(s) address');
+        }
+        ['description', 'readme', 'language'].forEach(field => {
+            if (raw[field] !== undefined && typeof raw[field] !== 'string') {
+                errors.push(`"${field}" must be a string`);
+            }
+        });
+        if (raw.tags !== undefined && !isStringArray(raw.tags)) {
+            errors.push('"tags" must be a list of strings');
+        }
+        if (raw.stars !== undefined && !(Number.isInteger(raw.stars) && raw.stars >= 0)) {
+            errors.push('"stars" must be a whole number');
+        }
+        if (raw.updated !== undefined && !(typeof raw.updated === 'string' && ISO_DATE.test(raw.updated))) {
+            errors.push('"updated" must be a date such as "2026-01-17"');
+        }
+        return errors;
+    }
+
+    async function loadProjects(source) {
+        const response = await fetch(source, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        if (!data || data.version !== PROJECTS_FORMAT_VERSION) {
+            throw new Error(`unsupported format version ${JSON.stringify(data && data.version)} (expected ${PROJECTS_FORMAT_VERSION})`);
+        }
+        if (!Array.isArray(data.projects)) {
+            throw new Error('"projects" must be an array');
+        }
+        return data.projects.filter((raw, i) => {
+            const errors = validateProject(raw);
+            if (errors.length > 0) {
+                const label = `projects[${i}]` + (raw && typeof raw.name === 'string' ? ` ("${raw.name}")` : '');
+                console.error(`[projects] Skipping ${label}:\n  - ${errors.join('\n  - ')}`);
+                return false;
+            }
+            return true;
+        }).map(raw => Object.assign({ tags: [], description: '', readme: '' }, raw));
+    }
+
+    // Dates in the manifest are plain days, so they're shown in UTC to stay on the same day
+    function formatProjectDate(date) {
+        return new Intl.DateTimeFormat(i18n.locale, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })
+            .format(new Date(date + 'T00:00:00Z'));
+    }
+
+    // Language, stars and last update, whichever the project has
+    function projectStats(project) {
+        const stats = [];
+        if (project.language) {
+            stats.push(`<span class="stat">${escapeXml(project.language)}</span>`);
+        }
+        if (project.stars !== undefined) {
+            stats.push(`<span class="stat"><span aria-hidden="true">&#9733;</span> ${escapeXml(i18n.t('gallery.stars', { count: project.stars.toLocaleString(i18n.locale) }))}</span>`);
+        }
+        if (project.updated) {
+            stats.push(`<span class="stat">${escapeXml(i18n.t('gallery.updated', { date: formatProjectDate(project.updated) }))}</span>`);
+        }
+        return stats.join('');
+    }
+
+    // Spans inside a card, since a button can't hold a list
+    function projectTags(project, tagName = 'li') {
+        return project.tags.map(tag => `<${tagName} class="project-tag">${escapeXml(tag)}</${tagName}>`).join('');
+    }
+
+    class ProjectModal {
+        constructor(gallery) {
+            this.gallery = gallery;
+            this.index = -1;
+            this.returnFocus = null;
+
+            this.element = document.createElement('div');
+            this.element.className = 'project-modal-backdrop';
+            this.element.hidden = true;
+            this.element.innerHTML = PROJECT_MODAL_HTML;
+            document.body.appendChild(this.element);
+            i18n.apply(this.element);
+
+            this.dialog = this.element.querySelector('.project-modal');
+            this.element.querySelector('.project-modal-close').addEventListener('click', () => this.close());
+            this.element.querySelectorAll('.project-modal-nav').forEach(button => {
+                button.addEventListener('click', () => this.step(Number(button.dataset.step)));
+            });
+            this.dialog.addEventListener('keydown', (e) => this.handleKey(e));
+            // A click beside the dialog dismisses it
+            this.element.addEventListener('mousedown', (e) => {
+                if (e.target === this.element) this.close();
+            });
+        }
+
+        get isOpen() {
+            return !this.element.hidden;
+        }
+
+        // `index` is into the gallery's visible projects, so stepping follows the current filter and sort
+        open(index) {
+            if (!this.isOpen) {
+                this.returnFocus = document.activeElement;
+            }
+            this.show(index);
+            this.element.hidden = false;
+            document.body.classList.add('project-modal-open');
+            this.element.querySelector('.project-modal-close').focus();
+        }
+
+        show(index) {
+            const projects = this.gallery.visible;
+            this.index = index;
+            const project = projects[index];
+            this.dialog.querySelector('.project-modal-title').textContent = project.name;
+            this.dialog.querySelector('.project-stats').innerHTML = projectStats(project);
+            this.dialog.querySelector('.project-modal-description').textContent = project.description;
+            const readme = this.dialog.querySelector('.project-modal-readme');
+            readme.textContent = project.readme;
+            readme.hidden = !project.readme;
+            this.dialog.querySelector('.project-tags-list').innerHTML = projectTags(project);
+            this.dialog.querySelector('.project-link').href = project.url;
+            this.element.querySelectorAll('.project-modal-nav').forEach(button => {
+                button.disabled = projects.length < 2;
+            });
+        }
+
+        // Wraps around at either end
+        step(delta) {
+            const count = this.gallery.visible.length;
+            if (count < 2) return;
+            this.show((this.index + delta + count) % count);
+        }
+
+        close() {
+            if (!this.isOpen) return;
+            this.element.hidden = true;
+            document.body.classList.remove('project-modal-open');
+            // Back to the card of the project last shown, which may not be the one opened;
+            // through the gallery so it also becomes the card Tab lands on
+            if (this.gallery.cardAt(this.index)) {
+                this.gallery.focusCard(this.index);
+            } else if (this.returnFocus && this.returnFocus.isConnected) {
+                this.returnFocus.focus();
+            }
+            this.returnFocus = null;
+        }
+
+        handleKey(e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && !e.target.closest('a')) {
+                e.preventDefault();
+                this.step(e.key === 'ArrowLeft' ? -1 : 1);
+            } else if (e.key === 'Tab') {
+                // Keep focus inside the dialog
+                const focusable = Array.from(this.dialog.querySelectorAll('button:not([disabled]), a[href]'));
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (e.shiftKey && document.activeElement === first) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        }
+    }
+
+    class ProjectGallery {
+        constructor(element, animate) {
+            this.element = element;
+            this.animate = animate;
+            this.projects = [];
+            this.visible = [];
+            this.tag = null;
+            this.language = '';
+            this.sort = PROJECT_SORTS[0];
+            // The card that takes Tab focus; arrow keys move it around
+            this.focusIndex = 0;
+
+            this.tagsEl = element.querySelector('.project-tags');
+            this.languageEl = element.querySelector('.project-language');
+            this.sortEl = element.querySelector('.project-sort');
+            this.statusEl = element.querySelector('.project-gallery-status');
+            this.grid = element.querySelector('.project-grid');
+            this.modal = new ProjectModal(this);
+
+            this.tagsEl.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-tag]');
+                if (!button) return;
+                this.tag = button.dataset.tag || null;
+                this.update();
+            });
+            this.languageEl.addEventListener('change', () => {
+                this.language = this.languageEl.value;
+                this.update();
+            });
+            this.sortEl.addEventListener('change', () => {
+                this.sort = this.sortEl.value;
+                this.update();
+            });
+            this.grid.addEventListener('click', (e) => {
+                const card = e.target.closest('.project-card');
+                if (card) this.modal.open(Number(card.dataset.index));
+            });
+            this.grid.addEventListener('keydown', (e) => this.handleKey(e));
+        }
+
+        async load() {
+            const source = this.element.dataset.projects;
+            try {
+                // Labels and dates need the page's strings, which may still be loading
+                [this.projects] = await Promise.all([loadProjects(source), i18n.ready()]);
+            } catch (err) {
+                console.error(`[projects] Could not load ${source}: ${err.message}`);
+                return;
+            }
+            if (this.projects.length === 0) return;
+            this.element.hidden = false;
+            this.render();
+        }
+
+        // Filters and cards from scratch, for a fresh manifest or another language
+        render() {
+            if (this.projects.length === 0) return;
+            const counts = new Map();
+            this.projects.forEach(project => project.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+            const tags = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+            this.tagsEl.innerHTML = [`<button type="button" class="project-filter" data-tag="">${escapeXml(i18n.t('gallery.allTags'))}</button>`]
+                .concat(tags.map(tag => `<button type="button" class="project-filter" data-tag="${escapeXml(tag)}">${escapeXml(tag)}</button>`))
+                .join('');
+
+            const languages = Array.from(new Set(this.projects.map(project => project.language).filter(Boolean)))
+                .sort((a, b) => a.localeCompare(b));
+            this.languageEl.innerHTML = [`<option value="">${escapeXml(i18n.t('gallery.allLanguages'))}</option>`]
+                .concat(languages.map(language => `<option value="${escapeXml(language)}">${escapeXml(language)}</option>`))
+                .join('');
+            this.languageEl.closest('.project-control').hidden = languages.length === 0;
+            if (!languages.includes(this.language)) this.language = '';
+            this.languageEl.value = this.language;
+            this.sortEl.value = this.sort;
+            this.update();
+        }
+
+        update() {
+            this.tagsEl.querySelectorAll('[data-tag]').forEach(button => {
+                button.setAttribute('aria-pressed', String((button.dataset.tag || null) === this.tag));
+            });
+            const collator = new Intl.Collator(i18n.locale);
+            const byName = (a, b) => collator.compare(a.name, b.name);
+            const compare = {
+                updated: (a, b) => (b.updated || '').localeCompare(a.updated || '') || byName(a, b),
+                stars: (a, b) => (b.stars || 0) - (a.stars || 0) || byName(a, b),
+                name: byName
+            }[this.sort];
+            this.visible = this.projects
+                .filter(project => !this.tag || project.tags.includes(this.tag))
+                .filter(project => !this.language || project.language === this.language)
+                .sort(compare);
+
+            this.grid.innerHTML = this.visible.map((project, index) => `
+                <li>
+                    <button type="button" class="project-card" data-index="${index}" tabindex="-1">
+                        <span class="project-card-name">${escapeXml(project.name)}</span>
+                        <span class="project-card-description">${escapeXml(project.description || project.readme)}</span>
+                        <span class="project-stats">${projectStats(project)}</span>
+                        <span class="project-tags-list">${projectTags(project, 'span')}</span>
+                    </button>
+                </li>
+            `).join('');
+            this.focusIndex = 0;
+            const first = this.cardAt(0);
+            if (first) first.tabIndex = 0;
+            this.statusEl.textContent = this.visible.length === 0
+                ? i18n.t('gallery.empty')
+                : i18n.t('gallery.showing', { shown: this.visible.length, total: this.projects.length });
+            this.animate(this.grid);
+        }
+
+        cardAt(index) {
+            return this.grid.querySelector(`.project-card[data-index="${index}"]`);
+        }
+
+        // How many cards fit on a row, from the grid's resolved columns
+        get columns() {
+            const template = getComputedStyle(this.grid).gridTemplateColumns;
+            return template && template !== 'none' ? template.split(' ').length : 1;
+        }
+
+        // Arrow keys move between cards like a grid; Home and End jump to either end
+        handleKey(e) {
+            const card = e.target.closest('.project-card');
+            if (!card) return;
+            const count = this.visible.length;
+            const index = Number(card.dataset.index);
+            const moves = {
+                ArrowLeft: index - 1,
+                ArrowRight: index + 1,
+                ArrowUp: index - this.columns,
+                ArrowDown: index + this.columns,
+                Home: 0,
+                End: count - 1
+            };
+            if (!(e.key in moves)) return;
+            e.preventDefault();
+            this.focusCard(Math.max(0, Math.min(count - 1, moves[e.key])));
+        }
+
+        focusCard(index) {
+            const previous = this.cardAt(this.focusIndex);
+            if (previous) previous.tabIndex = -1;
+            this.focusIndex = index;
+            const card = this.cardAt(index);
+            card.tabIndex = 0;
+            card.focus();
+        }
+
+        // Open a project by name, clearing any filter that hides it
+        openProject(name) {
+            let index = this.visible.findIndex(project => project.name === name);
+            if (index === -1) {
+                this.tag = null;
+                this.language = '';
+                this.languageEl.value = '';
+                this.update();
+                index = this.visible.findIndex(project => project.name === name);
+            }
+            if (index !== -1) this.modal.open(index);
+        }
+
+        // Featured projects are in the palette already
+        paletteItems() {
+            const featured = new Set(Array.from(document.querySelectorAll('.featured-project a[href]'))
+                .map(link => link.href.toLowerCase()));
+            return this.projects.filter(project => !featured.has(project.url.toLowerCase())).map(project => ({
+                id: 'gallery:' + project.name,
+                group: 'project',
+                title: project.name,
+                detail: project.description || project.readme,
+                run: () => this.openProject(project.name)
+            }));
+        }
+    }
+
+    // ===================================
+    // Contact Form
+    // ===================================
+    const CONTACT_DRAFT_KEY = 'chetech.contact.draft';
+    const CONTACT_FIELDS = ['name', 'email', 'company', 'area', 'timeline', 'budget', 'message'];
+    const CONTACT_MESSAGE_MIN = 20;
+    // Sent sooner than this after the first keystroke, it may not have been typed by a
+    // person; it still goes out, just not before this much time has passed
+    const CONTACT_MIN_FILL_TIME = 3000;
+    const CONTACT_POST_TIMEOUT = 10000;
+    const CONTACT_DRAFT_DELAY = 400;
+    const EMAIL_ADDRESS = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    // Field name -> [message key, params] for everything that needs fixing
+    function validateLead(lead) {
+        const errors = {};
+        if (!lead.name) errors.name = ['contact.form.required'];
+        if (!lead.email) {
+            errors.email = ['contact.form.required'];
+        } else if (!EMAIL_ADDRESS.test(lead.email)) {
+            errors.email = ['contact.form.invalidEmail'];
+        }
+        if (!lead.area) errors.area = ['contact.form.chooseArea'];
+        if (!lead.message) {
+            errors.message = ['contact.form.required'];
+        } else if (lead.message.length < CONTACT_MESSAGE_MIN) {
+            errors.message = ['contact.form.tooShort', { min: CONTACT_MESSAGE_MIN }];
+        }
+        return errors;
+    }
+
+    function mailtoUrl(address, lead) {
+        const lines = ['name', 'email', 'company', 'area', 'timeline', 'budget']
+            .filter(name => lead[name])
+            .map(name => `${i18n.t('contact.mail.' + name)}: ${lead.labels[name] || lead[name]}`);
+        const subject = i18n.t('contact.form.subject', { area: lead.labels.area, name: lead.name });
+        const body = lines.join('\n') + '\n\n' + lead.message;
+        return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    }
+
+    // Submission backends. send() resolves to { sent } once the lead is on its
+    // way (sent: false means the visitor still has to send it) and throws when it failed.
+    function postAdapter(endpoint) {
+        return {
+            name: 'post',
+            async send(lead) {
+                const controller = new AbortController();
+                const timer = setTimeout(() => controller.abort(), CONTACT_POST_TIMEOUT);
+                try {
+                    const { labels, ...payload } = lead;
+                    const response = await fetch(endpoint, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                        body: JSON.stringify(payload),
+                        signal: controller.signal
+                    });
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return { sent: true };
+                } finally {
+                    clearTimeout(timer);
+                }
+            }
+        };
+    }
+
+    function mailtoAdapter(address) {
+        return {
+            name: 'mailto',
+            async send(lead) {
+                window.location.href = mailtoUrl(address, lead);
+                return { sent: false };
+            }
+        };
+    }
+
+    class ContactForm {
+        constructor(form, { adapter, mailAddress }) {
+            this.form = form;
+            this.adapter = adapter;
+            this.mailAddress = mailAddress;
+            this.statusEl = form.querySelector('.form-status');
+            this.submitButton = form.querySelector('[type="submit"]');
+            // When the visitor started typing; a restored draft was typed on an earlier visit
+            this.startedAt = null;
+            this.draftRestored = false;
+            // Errors only show up as the visitor goes once they've tried to send
+            this.attempted = false;
+            this.errors = {};
+            this.status = null;
+            this.saveTimeout = null;
+
+            this.updateAreas();
+            this.restoreDraft();
+            // The draft note may have been set before the catalogs arrived
+            i18n.ready().then(() => this.renderStatus());
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submit();
+            });
+            form.addEventListener('input', () => this.changed());
+            form.addEventListener('change', () => this.changed());
+        }
+
+        // One choice per service card, in the page's language
+        updateAreas() {
+            const select = this.form.elements.area;
+            const other = select.querySelector('option[value="other"]');
+            const selected = select.value;
+            select.querySelectorAll('option[data-service]').forEach(option => option.remove());
+            document.querySelectorAll('.service-card h3[data-i18n]').forEach(heading => {
+                const match = heading.dataset.i18n.match(/^services\.(.+)\.title$/);
+                if (!match) return;
+                const option = document.createElement('option');
+                option.value = match[1];
+                option.dataset.service = '';
+                option.dataset.i18n = heading.dataset.i18n;
+                option.textContent = heading.textContent.trim();
+                select.insertBefore(option, other);
+            });
+            select.value = selected;
+        }
+
+        read() {
+            const lead = { labels: {} };
+            CONTACT_FIELDS.forEach(name => {
+                const field = this.form.elements[name];
+                lead[name] = field.value.trim();
+                if (field.tagName === 'SELECT' && field.value) {
+                    lead.labels[name] = field.options[field.selectedIndex].textContent.trim();
+                }
+            });
+            return lead;
+        }
+
+        changed() {
+            if (this.startedAt === null) {
+                this.startedAt = Date.now();
+            }
+            if (this.attempted) {
+                this.showErrors(validateLead(this.read()));
+            }
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = setTimeout(() => this.saveDraft(), CONTACT_DRAFT_DELAY);
+        }
+
+        saveDraft() {
+            const draft = {};
+            CONTACT_FIELDS.forEach(name => {
+                draft[name] = this.form.elements[name].value;
+            });
+            try {
+                if (CONTACT_FIELDS.some(name => draft[name].trim())) {
+                    localStorage.setItem(CONTACT_DRAFT_KEY, JSON.stringify(draft));
+                } else {
+                    localStorage.removeItem(CONTACT_DRAFT_KEY);
+                }
+            } catch (err) {
+                // Storage can be blocked or full; the form works without drafts
+            }
+        }
+
+        restoreDraft() {
+            let draft = null;
+            try {
+                draft = JSON.parse(localStorage.getItem(CONTACT_DRAFT_KEY));
+            } catch (err) {
+                // Blocked storage or a mangled draft, same as no draft
+            }
+            if (!draft || typeof draft !== 'object') return;
+            let restored = false;
+            CONTACT_FIELDS.forEach(name => {
+                const field = this.form.elements[name];
+                if (typeof draft[name] !== 'string' || !draft[name]) return;
+                field.value = draft[name];
+                // A select keeps its old value if the option is gone
+                if (field.value === draft[name]) restored = true;
+            });
+            if (restored) {
+                this.draftRestored = true;
+                this.setStatus('info', 'contact.form.draftRestored');
+            }
+        }
+
+        clearDraft() {
+            clearTimeout(this.saveTimeout);
+            try {
+                localStorage.removeItem(CONTACT_DRAFT_KEY);
+            } catch (err) {
+                // Nothing to clear then
+            }
+        }
+
+        showErrors(errors) {
+            this.errors = errors;
+            CONTACT_FIELDS.forEach(name => {
+                const field = this.form.elements[name];
+                const wrapper = field.closest('.form-field');
+                let message = wrapper.querySelector('.form-error');
+                if (!errors[name]) {
+                    field.removeAttribute('aria-invalid');
+                    field.removeAttribute('aria-describedby');
+                    if (message) message.remove();
+                    return;
+                }
+                if (!message) {
+                    message = document.createElement('p');
+                    message.className = 'form-error';
+                    message.id = field.id + '-error';
+                    wrapper.appendChild(message);
+                }
+                message.textContent = i18n.t(...errors[name]);
+                field.setAttribute('aria-invalid', 'true');
+                field.setAttribute('aria-describedby', message.id);
+            });
+        }
+
+        // `key` and `params` are kept so the message can follow a language switch
+        setStatus(type, key, params = {}, link = null) {
+            this.status = type ? { type, key, params, link } : null;
+            this.renderStatus();
+        }
+
+        renderStatus() {
+            this.statusEl.className = 'form-status' + (this.status ? ' ' + this.status.type : '');
+            this.statusEl.textContent = this.status ? i18n.t(this.status.key, this.status.params) : '';
+            if (this.status && this.status.link) {
+                const link = document.createElement('a');
+                link.href = this.status.link;
+                link.textContent = i18n.t('contact.form.sendByEmail');
+                this.statusEl.append(' ', link);
+            }
+        }
+
+        // After a language switch
+        refresh() {
+            this.updateAreas();
+            if (this.attempted) this.showErrors(this.errors);
+            this.renderStatus();
+        }
+
+        async submit() {
+            if (this.submitButton.disabled) return;
+            this.attempted = true;
+            const lead = this.read();
+            const errors = validateLead(lead);
+            this.showErrors(errors);
+            const invalid = CONTACT_FIELDS.find(name => errors[name]);
+            if (invalid) {
+                this.setStatus('error', 'contact.form.fixErrors');
+                this.form.elements[invalid].focus();
+                return;
+            }
+
+            // Only a bot fills in the hidden field. It gets the same thank-you as people, so
+            // there's nothing to learn from it; the fields and the draft stay all the same.
+            if (this.form.elements.website.value) {
+                console.warn('[contact] Dropped a submission that filled in the hidden field');
+                this.setStatus('success', 'contact.form.sent');
+                return;
+            }
+
+            this.submitButton.disabled = true;
+            this.setStatus('info', 'contact.form.sending');
+            // Autofill and a pasted message can be quicker than the time trap; those wait it out
+            const elapsed = this.startedAt === null ? 0 : Date.now() - this.startedAt;
+            const hold = this.draftRestored ? 0 : Math.max(0, CONTACT_MIN_FILL_TIME - elapsed);
+            if (hold > 0) {
+                await new Promise(resolve => setTimeout(resolve, hold));
+            }
+
+            lead.locale = i18n.locale;
+            lead.elapsed = Math.round((elapsed + hold) / 1000);
+            try {
+                const result = await this.adapter.send(lead);
+                this.finish(result.sent);
+            } catch (err) {
+                console.error(`[contact] Could not send the inquiry through "${this.adapter.name}": ${err.message}`);
+                this.setStatus('error', 'contact.form.failed', {}, mailtoUrl(this.mailAddress, lead));
+            } finally {
+                this.submitButton.disabled = false;
+            }
+        }
+
+        // The draft is done with either way; the fields only clear once the inquiry is really sent
+        finish(sent) {
+            this.clearDraft();
+            if (sent) {
+                this.form.reset();
+                this.startedAt = null;
+                this.draftRestored = false;
+                this.attempted = false;
+                this.showErrors({});
+                this.setStatus('success', 'contact.form.sent');
+            } else {
+                this.setStatus('info', 'contact.form.emailOpened');
+            }
+        }
+    }
+
+    // POST to the form's data-endpoint when it has one, else an email to the address on the page
+    function initContactForm() {
+        const form = document.querySelector('.contact-form');
+        if (!form) return null;
+        const mailLink = document.querySelector('.contact-method[href^="mailto:"]');
+        const mailAddress = mailLink ? mailLink.getAttribute('href').replace(/^mailto:/, '') : '';
+        const endpoint = form.dataset.endpoint;
+        const adapter = endpoint ? postAdapter(endpoint) : mailtoAdapter(mailAddress);
+        const contactForm = new ContactForm(form, { adapter, mailAddress });
+        i18n.on('localechange', () => contactForm.refresh());
+        return contactForm;
+    }
 
-            terminalHeader.addEventListener('mousedown', onMouseDown);
+    // ===================================
+    // Routing
+    // ===================================
+
+    // Everything worth linking to lives in the URL:
+    //   #services                  a section of the page
+    //   #demo=rag                  the hero terminal, starting on the rag demo
+    //   ?terminal=mcp&autoplay=0   the mcp demo played once in the interactive shell
+    function parseRoute(url) {
+        let hash = url.hash.slice(1);
+        try {
+            hash = decodeURIComponent(hash);
+        } catch (err) {
+            // Malformed escapes; use the hash as it is
         }
+        const isParams = hash.includes('=');
+        const params = new URLSearchParams(isParams ? hash : '');
+        const autoplay = params.get('autoplay') || url.searchParams.get('autoplay');
 
-        close() {
-            if (this.winbox && !this.isClosed) {
-                this.animator.pause();
-                this.winbox.hide();
-                this.isClosed = true;
+        return {
+            section: hash && !isParams ? hash : null,
+            demo: params.get('demo') || url.searchParams.get('terminal') || null,
+            autoplay: autoplay !== '0' && autoplay !== 'false'
+        };
+    }
 
-                // Show reopen button
-                this.reopenBtn.style.display = 'flex';
+    class Router {
+        constructor(windowManager) {
+            this.windowManager = windowManager;
+            // Demo links wait until the scenario files are in
+            this.scenariosReady = false;
 
-                // Auto-reopen after 8 seconds
-                this.reopenTimeout = setTimeout(() => {
-                    if (this.isClosed) {
-                        this.reopen();
-                    }
-                }, 8000);
+            // We scroll to the section ourselves on back and forward
+            if ('scrollRestoration' in history) {
+                history.scrollRestoration = 'manual';
             }
+
+            document.addEventListener('click', (e) => this.handleClick(e));
+            window.addEventListener('popstate', () => this.apply(new URL(window.location.href), { smooth: true }));
         }
 
-        minimize() {
-            if (this.winbox && !this.isMinimized) {
-                this.animator.pause();
-                this.winbox.hide();
-                this.isMinimized = true;
+        handleClick(e) {
+            if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            const link = e.target.closest('a[href^="#"]');
+            if (!link) return;
+            e.preventDefault();
+            this.navigate(link.getAttribute('href'));
+        }
 
-                // Create dock element
-                this.createDock();
+        navigate(href) {
+            const url = new URL(href, window.location.href);
+            // ?terminal= only describes the page we landed on; carried along, every back or
+            // forward would start that demo again
+            url.searchParams.delete('terminal');
+            url.searchParams.delete('autoplay');
+            if (url.href !== window.location.href) {
+                history.pushState(null, '', url);
             }
+            this.apply(url, { smooth: true });
         }
 
-        restore() {
-            if (this.winbox && this.isMinimized) {
-                this.winbox.show();
-                this.isMinimized = false;
-                this.animator.resume();
+        apply(url, { smooth = false } = {}) {
+            const route = parseRoute(url);
+            if (route.demo && this.scenariosReady) {
+                this.showDemo(route);
+            }
+            if (route.section) {
+                this.scrollToSection(route.section, smooth);
+            } else if (!route.demo) {
+                window.scrollTo({ top: 0, behavior: this.scrollBehavior(smooth) });
+            }
+        }
 
-                // Remove dock
-                this.removeDock();
+        scrollBehavior(smooth) {
+            return smooth && !prefersReducedMotion() ? 'smooth' : 'auto';
+        }
+
+        scrollToSection(id, smooth) {
+            const target = document.getElementById(id);
+            if (!target) {
+                console.warn(`[router] No section "${id}" on this page`);
+                return;
             }
+            target.scrollIntoView({ behavior: this.scrollBehavior(smooth), block: 'start' });
         }
 
-        toggleMaximize() {
-            if (!this.winbox) return;
+        showDemo(route) {
+            const terminalWindow = this.windowManager.primary;
+            if (!terminalWindow || !terminalWindow.animator.findScenario(route.demo)) {
+                console.warn(`[router] Unknown demo "${route.demo}", playing the usual rotation`);
+                return false;
+            }
+            terminalWindow.showScenario(route.demo, { autoplay: route.autoplay });
+            return true;
+        }
 
-            const winboxEl = this.winbox.body.parentElement;
-            if (!winboxEl) return;
+        // Called once scenarios have loaded; true if the URL asked for a demo and got it
+        openLinkedDemo() {
+            this.scenariosReady = true;
+            const route = parseRoute(new URL(window.location.href));
+            return !!route.demo && this.showDemo(route);
+        }
+    }
 
-            if (this.isMaximized) {
-                // Restore to original size and position
-                winboxEl.style.left = this.savedPosition.left;
-                winboxEl.style.top = this.savedPosition.top;
-                winboxEl.style.width = this.savedPosition.width;
-                winboxEl.style.height = this.savedPosition.height;
-                winboxEl.style.position = 'absolute';
-                winboxEl.classList.remove('max');
-                this.isMaximized = false;
-            } else {
-                // Save current position and size
-                this.savedPosition = {
-                    left: winboxEl.style.left,
-                    top: winboxEl.style.top,
-                    width: winboxEl.style.width,
-                    height: winboxEl.style.height
-                };
-                // Maximize - use fixed position and account for nav bar
-                const navHeight = 72; // var(--nav-height)
-                winboxEl.style.position = 'fixed';
-                winboxEl.style.left = '0px';
-                winboxEl.style.top = navHeight + 'px';
-                winboxEl.style.width = '100vw';
-                winboxEl.style.height = `calc(100vh - ${navHeight}px)`;
-                winboxEl.classList.add('max');
-                this.isMaximized = true;
+    // ===================================
+    // Command Palette
+    // ===================================
+    const PALETTE_RECENT_KEY = 'chetech.palette.recent';
+    const PALETTE_RECENT_LIMIT = 5;
+    const PALETTE_MAX_RESULTS = 50;
+
+    const PALETTE_HTML = `
+        <div class="palette" role="dialog" aria-modal="true" aria-label="Command palette"
+             data-i18n-attr="aria-label:palette.label">
+            <input class="palette-input" type="text" role="combobox" aria-expanded="true"
+                   aria-autocomplete="list" aria-controls="palette-results" autocomplete="off"
+                   spellcheck="false" placeholder="Search sections or run a command..."
+                   aria-label="Search sections or run a command"
+                   data-i18n-attr="placeholder:palette.placeholder; aria-label:palette.placeholder">
+            <ul class="palette-results" id="palette-results" role="listbox"></ul>
+            <p class="palette-status" role="status"></p>
+            <p class="palette-hint" aria-hidden="true" data-i18n="palette.hint">
+                &uarr;&darr; to move, Enter to select, Esc to close
+            </p>
+        </div>
+    `;
+
+    // Lowercased and stripped of accents one character at a time, so match
+    // positions still line up with the original text ("oppna" finds "Öppna")
+    function foldText(text) {
+        return Array.from(text).map(ch => ch.toLowerCase().normalize('NFD')[0] || ch);
+    }
+
+    // Every character of the query in order, anywhere in the text. Runs of
+    // adjacent characters and word starts score higher. Null if it doesn't match.
+    function fuzzyMatch(query, text) {
+        const needle = foldText(query).filter(ch => ch.trim());
+        if (needle.length === 0) return { score: 0, indices: [] };
+        const haystack = foldText(text);
+        const indices = [];
+        let score = 0;
+        let from = 0;
+        for (const ch of needle) {
+            const found = haystack.indexOf(ch, from);
+            if (found === -1) return null;
+            score += 1;
+            if (found > 0 && found === indices[indices.length - 1] + 1) score += 5;
+            if (found === 0 || /[\s\-_/.&:(]/.test(haystack[found - 1])) score += 3;
+            indices.push(found);
+            from = found + 1;
+        }
+        // Between equal matches, the tighter and shorter one wins
+        score -= (indices[indices.length - 1] - indices[0]) * 0.1 + haystack.length * 0.01;
+        return { score, indices };
+    }
+
+    // Text of an element with its whitespace collapsed
+    function cleanText(el) {
+        return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    // Bring a card into view and flash it
+    function revealElement(el, behavior) {
+        el.scrollIntoView({ behavior, block: 'center' });
+        el.classList.remove('palette-target');
+        // Restart the highlight if the same card is picked twice in a row
+        void el.offsetWidth;
+        el.classList.add('palette-target');
+    }
+
+    // Search entries for the sections, service cards, timeline entries and
+    // projects on the page. Ids come from the i18n keys where there are any,
+    // so recent items survive a language switch.
+    function indexPage(router) {
+        const items = [];
+        const stableId = (heading) => heading.dataset.i18n || cleanText(heading);
+        const scrollTo = (el) => () => revealElement(el, router.scrollBehavior(true));
+
+        document.querySelectorAll('section[id]').forEach(section => {
+            const heading = section.querySelector('h1, h2');
+            if (!heading) return;
+            items.push({
+                id: 'section:' + section.id,
+                group: 'section',
+                title: cleanText(heading),
+                detail: cleanText(section.querySelector('.section-subtitle, .hero-subtitle')),
+                run: () => router.navigate('#' + section.id)
+            });
+        });
+        document.querySelectorAll('.service-card').forEach(card => {
+            const heading = card.querySelector('h3');
+            items.push({
+                id: 'service:' + stableId(heading),
+                group: 'service',
+                title: cleanText(heading),
+                detail: cleanText(card.querySelector('.service-features')),
+                run: scrollTo(card)
+            });
+        });
+        document.querySelectorAll('.timeline-item').forEach(entry => {
+            const heading = entry.querySelector('h3');
+            items.push({
+                id: 'experience:' + stableId(heading),
+                group: 'experience',
+                title: cleanText(heading),
+                detail: [cleanText(entry.querySelector('.timeline-role')), cleanText(entry.querySelector('.timeline-date'))].join(' '),
+                run: scrollTo(entry)
+            });
+        });
+        document.querySelectorAll('.featured-project').forEach(project => {
+            const heading = project.querySelector('h3');
+            items.push({
+                id: 'project:' + stableId(heading),
+                group: 'project',
+                title: cleanText(heading),
+                detail: cleanText(project.querySelector('.project-description')),
+                run: scrollTo(project)
+            });
+        });
+        return items;
+    }
+
+    // Actions on the hero terminal, the contact details and the page language
+    function siteActions(windowManager, router) {
+        const terminalWindow = windowManager.primary;
+        const items = [];
+
+        if (terminalWindow) {
+            const isHidden = terminalWindow.isClosed || terminalWindow.isMinimized || !terminalWindow.winbox;
+            items.push({
+                id: 'terminal:open',
+                group: 'terminal',
+                title: i18n.t('palette.terminalOpen'),
+                run: () => {
+                    if (terminalWindow.isClosed || !terminalWindow.winbox) {
+                        terminalWindow.reopen();
+                    } else if (terminalWindow.isMinimized) {
+                        terminalWindow.restore();
+                    } else {
+                        terminalWindow.focus();
+                        terminalWindow.focusContent();
+                    }
+                    terminalWindow.element.scrollIntoView({ behavior: router.scrollBehavior(true), block: 'nearest' });
+                }
+            });
+            if (!isHidden) {
+                items.push({
+                    id: 'terminal:maximize',
+                    group: 'terminal',
+                    title: i18n.t(terminalWindow.isMaximized ? 'terminal.restoreSize' : 'terminal.maximize'),
+                    run: () => terminalWindow.toggleMaximize()
+                }, {
+                    id: 'terminal:close',
+                    group: 'terminal',
+                    title: i18n.t('terminal.close'),
+                    run: () => terminalWindow.close()
+                });
             }
+            terminalWindow.animator.scenarios.forEach(scenario => {
+                items.push({
+                    id: 'demo:' + scenario.id,
+                    group: 'demo',
+                    title: i18n.t('palette.playDemo', { title: scenario.title }),
+                    detail: scenario.id,
+                    run: () => {
+                        router.navigate('#demo=' + encodeURIComponent(scenario.id));
+                        terminalWindow.element.scrollIntoView({ behavior: router.scrollBehavior(true), block: 'nearest' });
+                    }
+                });
+            });
         }
 
-        reopen() {
-            if (this.reopenTimeout) {
-                clearTimeout(this.reopenTimeout);
-                this.reopenTimeout = null;
+        const mailLink = document.querySelector('a[href^="mailto:"]');
+        if (mailLink) {
+            const email = mailLink.getAttribute('href').slice('mailto:'.length);
+            items.push({
+                id: 'contact:copy-email',
+                group: 'contact',
+                title: i18n.t('palette.copyEmail', { email }),
+                keepOpen: true,
+                run: async () => {
+                    try {
+                        await navigator.clipboard.writeText(email);
+                        return i18n.t('palette.copied', { email });
+                    } catch (err) {
+                        // No clipboard access; hand the address to the mail app instead
+                        window.location.href = 'mailto:' + email;
+                        return null;
+                    }
+                }
+            });
+        }
+
+        LOCALES.filter(locale => locale !== i18n.locale).forEach(locale => {
+            items.push({
+                id: 'language:' + locale,
+                group: 'language',
+                title: i18n.t('palette.switchLanguage', { language: LOCALE_NAMES[locale] }),
+                detail: locale,
+                run: () => i18n.setLocale(locale)
+            });
+        });
+        return items;
+    }
+
+    function readRecent() {
+        try {
+            const recent = JSON.parse(localStorage.getItem(PALETTE_RECENT_KEY));
+            return Array.isArray(recent) ? recent.filter(id => typeof id === 'string') : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    function writeRecent(recent) {
+        try {
+            localStorage.setItem(PALETTE_RECENT_KEY, JSON.stringify(recent));
+        } catch (err) {
+            // Not fatal; recent items just won't be remembered
+        }
+    }
+
+    // Ctrl/Cmd+K or "/" opens a search over the page and the site's actions.
+    // Entries come from providers: functions returning { id, group, title, detail, run }.
+    // An entry with keepOpen stays up to show the message its run() returns.
+    class CommandPalette {
+        constructor() {
+            this.providers = [];
+            this.items = [];
+            this.results = [];
+            this.activeIndex = 0;
+            this.returnFocus = null;
+            this.closeTimeout = null;
+
+            this.element = document.createElement('div');
+            this.element.className = 'palette-backdrop';
+            this.element.hidden = true;
+            this.element.innerHTML = PALETTE_HTML;
+            document.body.appendChild(this.element);
+            i18n.apply(this.element);
+
+            this.input = this.element.querySelector('.palette-input');
+            this.list = this.element.querySelector('.palette-results');
+            this.status = this.element.querySelector('.palette-status');
+
+            this.input.addEventListener('input', () => this.search());
+            this.input.addEventListener('keydown', (e) => this.handleKey(e));
+            this.list.addEventListener('click', (e) => {
+                const option = e.target.closest('[role="option"]');
+                if (option) this.run(Number(option.dataset.index));
+            });
+            this.list.addEventListener('mousemove', (e) => {
+                const option = e.target.closest('[role="option"]');
+                if (option && Number(option.dataset.index) !== this.activeIndex) {
+                    this.setActive(Number(option.dataset.index));
+                }
+            });
+            // A click beside the dialog dismisses it
+            this.element.addEventListener('mousedown', (e) => {
+                if (e.target === this.element) this.close();
+            });
+            document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        }
+
+        get isOpen() {
+            return !this.element.hidden;
+        }
+
+        register(provider) {
+            this.providers.push(provider);
+        }
+
+        handleShortcut(e) {
+            if (e.defaultPrevented) return;
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if (this.isOpen) {
+                    this.close();
+                } else {
+                    this.open();
+                }
+                return;
             }
+            // "/" only when it wouldn't be typed into something
+            const target = e.target;
+            const isEditable = target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+            if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !isEditable && !this.isOpen) {
+                e.preventDefault();
+                this.open();
+            }
+        }
 
-            if (this.winbox) {
-                // Show the hidden window
-                this.winbox.show();
-                this.isClosed = false;
-                this.reopenBtn.style.display = 'none';
-                this.animator.resume();
+        open(query = '') {
+            clearTimeout(this.closeTimeout);
+            if (!this.isOpen) {
+                this.returnFocus = document.activeElement;
+            }
+            this.items = [];
+            this.providers.forEach(provider => this.items.push(...provider()));
+            this.element.hidden = false;
+            document.body.classList.add('palette-open');
+            this.status.textContent = '';
+            this.input.value = query;
+            this.search();
+            this.input.focus();
+        }
+
+        close({ restoreFocus = true } = {}) {
+            if (!this.isOpen) return;
+            clearTimeout(this.closeTimeout);
+            this.element.hidden = true;
+            document.body.classList.remove('palette-open');
+            this.input.removeAttribute('aria-activedescendant');
+            if (restoreFocus && this.returnFocus && this.returnFocus.isConnected) {
+                this.returnFocus.focus();
+            }
+            this.returnFocus = null;
+        }
+
+        // With no query, recent picks come first and everything else follows in page order
+        search() {
+            const query = this.input.value.trim();
+            if (!query) {
+                const byId = new Map(this.items.map(item => [item.id, item]));
+                const recent = readRecent().map(id => byId.get(id)).filter(Boolean);
+                const rest = this.items.filter(item => !recent.includes(item));
+                this.results = [
+                    ...recent.map(item => ({ item, indices: [], recent: true })),
+                    ...rest.map(item => ({ item, indices: [] }))
+                ];
             } else {
-                // Create new window if it was destroyed
-                this.createWindow();
+                this.results = this.items
+                    .map((item, order) => {
+                        const title = fuzzyMatch(query, item.title);
+                        if (title) return { item, order, score: title.score, indices: title.indices };
+                        // Descriptions are long enough to fuzzy-match almost anything, so
+                        // they need the query verbatim, count for less and highlight nothing
+                        if (item.detail && foldText(item.detail).join('').includes(foldText(query).join(''))) {
+                            return { item, order, score: query.length * 0.5, indices: [] };
+                        }
+                        return null;
+                    })
+                    .filter(Boolean)
+                    .sort((a, b) => b.score - a.score || a.order - b.order);
             }
+            this.results = this.results.slice(0, PALETTE_MAX_RESULTS);
+            this.render();
+            this.setActive(0);
         }
 
-        createDock() {
-            this.dockElement = document.createElement('div');
-            this.dockElement.className = 'terminal-dock';
-            this.dockElement.innerHTML = `
-                <button class="terminal-dock-item">
-                    <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
-                        <rect x="3" y="3" width="18" height="18" rx="2"/>
-                        <path d="M3 9h18"/>
-                    </svg>
-                    chetech-agent
-                </button>
-            `;
+        render() {
+            this.list.innerHTML = '';
+            if (this.results.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'palette-empty';
+                empty.textContent = i18n.t('palette.empty');
+                this.list.appendChild(empty);
+                return;
+            }
+            this.results.forEach((result, index) => {
+                const option = document.createElement('li');
+                option.className = 'palette-option';
+                option.id = 'palette-option-' + index;
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', 'false');
+                option.dataset.index = index;
+
+                const title = document.createElement('span');
+                title.className = 'palette-title';
+                // Matched characters in <mark>, adjacent ones sharing one
+                const marked = new Set(result.indices);
+                let run = null;
+                Array.from(result.item.title).forEach((ch, i) => {
+                    const isMarked = marked.has(i);
+                    if (!run || run.isMarked !== isMarked) {
+                        run = { isMarked, node: isMarked ? document.createElement('mark') : document.createTextNode('') };
+                        title.appendChild(run.node);
+                    }
+                    run.node.textContent += ch;
+                });
 
-            document.body.appendChild(this.dockElement);
+                const group = document.createElement('span');
+                group.className = 'palette-group';
+                group.textContent = result.recent
+                    ? i18n.t('palette.recent')
+                    : i18n.t('palette.group.' + result.item.group);
 
-            this.dockElement.querySelector('button').addEventListener('click', () => {
-                this.restore();
+                option.append(title, group);
+                this.list.appendChild(option);
+            });
+        }
+
+        setActive(index) {
+            const options = this.list.querySelectorAll('[role="option"]');
+            if (options.length === 0) {
+                this.activeIndex = 0;
+                this.input.removeAttribute('aria-activedescendant');
+                return;
+            }
+            this.activeIndex = (index + options.length) % options.length;
+            options.forEach((option, i) => {
+                option.setAttribute('aria-selected', String(i === this.activeIndex));
             });
+            const active = options[this.activeIndex];
+            this.input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        }
+
+        handleKey(e) {
+            const pageSize = 5;
+            switch (e.key) {
+                case 'ArrowDown':
+                    this.setActive(this.activeIndex + 1);
+                    break;
+                case 'ArrowUp':
+                    this.setActive(this.activeIndex - 1);
+                    break;
+                case 'PageDown':
+                    this.setActive(Math.min(this.activeIndex + pageSize, this.results.length - 1));
+                    break;
+                case 'PageUp':
+                    this.setActive(Math.max(this.activeIndex - pageSize, 0));
+                    break;
+                case 'Home':
+                case 'End':
+                    // Leave the caret keys to the text field unless Ctrl is held
+                    if (!e.ctrlKey) return;
+                    this.setActive(e.key === 'Home' ? 0 : this.results.length - 1);
+                    break;
+                case 'Enter':
+                    this.run(this.activeIndex);
+                    break;
+                case 'Escape':
+                    this.close();
+                    break;
+                case 'Tab':
+                    // The text field is the only thing to focus in here
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
         }
 
-        removeDock() {
-            if (this.dockElement) {
-                this.dockElement.remove();
-                this.dockElement = null;
+        async run(index) {
+            const result = this.results[index];
+            if (!result) return;
+            const item = result.item;
+            writeRecent([item.id, ...readRecent().filter(id => id !== item.id)].slice(0, PALETTE_RECENT_LIMIT));
+
+            // Most actions move focus themselves, so don't pull it back. The ones
+            // that only report something keep the palette up to say so.
+            if (!item.keepOpen) {
+                this.close({ restoreFocus: false });
+            }
+            let message = null;
+            try {
+                message = await item.run();
+            } catch (err) {
+                console.error(`[palette] "${item.title}" failed: ${err.message}`);
+            }
+            if (item.keepOpen) {
+                if (!message) {
+                    this.close();
+                    return;
+                }
+                this.status.textContent = message;
+                this.closeTimeout = setTimeout(() => this.close(), 1500);
             }
         }
     }
 
     // ===================================
-    // Navigation
+    // Local Search
     // ===================================
-    function initNavigation() {
-        const nav = document.getElementById('nav');
-        const navToggle = document.getElementById('nav-toggle');
-        const navLinks = document.getElementById('nav-links');
+    // `chetech-agent --rag` searches the page's own text. Passages are scored two
+    // ways and blended: BM25 over whole words, and the cosine of hashed character
+    // trigram vectors, which still finds "pipeline" from "pipelines" or a typo.
+    // Everything is built from the DOM in this tab; nothing is fetched.
+    const SEARCH_BLOCKS = '.about-text p, .service-card, .timeline-item, .featured-project';
+    const SEARCH_PASSAGE_WORDS = 60;
+    const SEARCH_SNIPPET_WORDS = 28;
+    const SEARCH_DIMENSIONS = 256;
+    const BM25_K1 = 1.2;
+    const BM25_B = 0.75;
+    // Share of the score that comes from exact words; the rest is trigram similarity
+    const SEARCH_LEXICAL_WEIGHT = 0.7;
+    // Passages with no word in common need to be at least this similar to show up
+    const SEARCH_MIN_SIMILARITY = 0.25;
 
-        // Scroll effect
-        let lastScroll = 0;
-        window.addEventListener('scroll', () => {
-            const currentScroll = window.pageYOffset;
+    // Folded the same way as the terms, so "på" is "pa"
+    const SEARCH_STOPWORDS = new Set([
+        'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does',
+        'for', 'from', 'has', 'have', 'how', 'i', 'in', 'into', 'is', 'it', 'its', 'me', 'my',
+        'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them', 'they', 'this',
+        'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+        'you', 'your',
+        'att', 'av', 'de', 'den', 'det', 'dig', 'du', 'eller', 'en', 'er', 'ett', 'har',
+        'hur', 'jag', 'kan', 'med', 'men', 'mig', 'min', 'mitt', 'nar', 'ni', 'och', 'om',
+        'pa', 'sa', 'sig', 'som', 'till', 'vad', 'var', 'vem', 'vi', 'vilka', 'vilken'
+    ]);
 
-            if (currentScroll > 50) {
-                nav.classList.add('scrolled');
-            } else {
-                nav.classList.remove('scrolled');
-            }
+    function searchTerms(text) {
+        return (foldText(text).join('').match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(term => term.length > 1 && !SEARCH_STOPWORDS.has(term));
+    }
+
+    // "pipeline" and "pipelines" count as the same word when highlighting
+    function termMatches(word, terms) {
+        return terms.some(term => word === term ||
+            (Math.min(word.length, term.length) >= 4 && (word.startsWith(term) || term.startsWith(word))));
+    }
 
-            lastScroll = currentScroll;
+    function fnv1a(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Character trigrams of every term, hashed into signed buckets, weighted by
+    // how rare the term is and scaled to unit length
+    function hashedVector(terms, weightOf) {
+        const vector = new Float32Array(SEARCH_DIMENSIONS);
+        terms.forEach(term => {
+            const padded = `#${term}#`;
+            const weight = weightOf(term);
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                const hash = fnv1a(padded.slice(i, i + 3));
+                vector[hash % SEARCH_DIMENSIONS] += hash & 0x80000000 ? -weight : weight;
+            }
         });
+        const length = Math.hypot(...vector);
+        if (length > 0) {
+            vector.forEach((value, i) => { vector[i] = value / length; });
+        }
+        return vector;
+    }
 
-        // Mobile toggle
-        navToggle.addEventListener('click', () => {
-            navToggle.classList.toggle('active');
-            navLinks.classList.toggle('active');
+    function dotProduct(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+        return sum;
+    }
+
+    // Long blocks are cut at sentence ends into passages of about SEARCH_PASSAGE_WORDS words
+    function splitPassages(text) {
+        const sentences = text.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [];
+        const passages = [];
+        let current = '';
+        sentences.forEach(sentence => {
+            const words = (current + sentence).split(/\s+/).filter(Boolean).length;
+            if (current && words > SEARCH_PASSAGE_WORDS) {
+                passages.push(current.trim());
+                current = '';
+            }
+            current += sentence;
         });
+        if (current.trim()) passages.push(current.trim());
+        return passages;
+    }
 
-        // Close mobile nav on link click
-        navLinks.querySelectorAll('a').forEach(link => {
-            link.addEventListener('click', () => {
-                navToggle.classList.remove('active');
-                navLinks.classList.remove('active');
+    // Passages of the about text, service cards, timeline entries and projects,
+    // each remembering the element it came from
+    function chunkPage() {
+        const passages = [];
+        document.querySelectorAll(SEARCH_BLOCKS).forEach(block => {
+            const section = block.closest('section[id]');
+            if (!section) return;
+            const sectionTitle = cleanText(section.querySelector('h2'));
+            const title = cleanText(block.querySelector('h3')) || sectionTitle;
+            const parts = block.matches('p') ? [block] : Array.from(block.querySelectorAll('p, li'));
+            const text = parts.map(cleanText).filter(Boolean).join(' · ');
+            splitPassages(text).forEach(passage => {
+                passages.push({
+                    label: title === sectionTitle ? title : `${title} · ${sectionTitle}`,
+                    sectionId: section.id,
+                    element: block,
+                    text: passage
+                });
             });
         });
+        return passages;
     }
 
-    // ===================================
-    // Scroll Animations
-    // ===================================
-    function initScrollAnimations() {
-        const observerOptions = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        };
+    class SiteIndex {
+        constructor() {
+            this.passages = [];
+            this.documentFrequency = new Map();
+            this.averageLength = 0;
+            this.buildTime = 0;
+            // The page language the index was built from
+            this.lang = null;
+        }
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('visible');
-                }
+        get isStale() {
+            return this.lang !== document.documentElement.lang;
+        }
+
+        get vocabularySize() {
+            return this.documentFrequency.size;
+        }
+
+        build() {
+            const started = performance.now();
+            this.passages = chunkPage();
+            this.documentFrequency = new Map();
+            this.passages.forEach(passage => {
+                const terms = searchTerms(passage.label + ' ' + passage.text);
+                passage.length = terms.length;
+                passage.counts = new Map();
+                terms.forEach(term => passage.counts.set(term, (passage.counts.get(term) || 0) + 1));
+                passage.counts.forEach((count, term) => {
+                    this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+                });
+                passage.terms = terms;
             });
-        }, observerOptions);
+            const total = this.passages.reduce((sum, passage) => sum + passage.length, 0);
+            this.averageLength = this.passages.length ? total / this.passages.length : 0;
+            // Vectors need the document frequencies, so they come second
+            this.passages.forEach(passage => {
+                passage.vector = hashedVector(passage.terms, term => this.idf(term));
+            });
+            this.lang = document.documentElement.lang;
+            this.buildTime = performance.now() - started;
+        }
 
-        // Add fade-in class to elements
-        const animatedElements = document.querySelectorAll(
-            '.service-card, .timeline-item, .featured-project, .github-profile, .about-content'
-        );
+        idf(term) {
+            const count = this.documentFrequency.get(term) || 0;
+            return Math.log(1 + (this.passages.length - count + 0.5) / (count + 0.5));
+        }
+
+        // The best passages for a question, each with a score from 0 to 1 and the terms it shares with it
+        search(query, limit = 3) {
+            if (this.isStale) this.build();
+            const terms = Array.from(new Set(searchTerms(query)));
+            if (terms.length === 0) return [];
+            const queryVector = hashedVector(terms, term => this.idf(term));
+
+            const scored = this.passages.map(passage => {
+                let bm25 = 0;
+                terms.forEach(term => {
+                    const count = passage.counts.get(term) || 0;
+                    if (!count) return;
+                    const norm = 1 - BM25_B + BM25_B * passage.length / this.averageLength;
+                    bm25 += this.idf(term) * count * (BM25_K1 + 1) / (count + BM25_K1 * norm);
+                });
+                return { passage, bm25, similarity: Math.max(0, dotProduct(queryVector, passage.vector)) };
+            });
+            const best = Math.max(0, ...scored.map(result => result.bm25)) || 1;
+            return scored
+                .filter(result => result.bm25 > 0 || result.similarity >= SEARCH_MIN_SIMILARITY)
+                .map(result => ({
+                    passage: result.passage,
+                    terms,
+                    score: SEARCH_LEXICAL_WEIGHT * result.bm25 / best + (1 - SEARCH_LEXICAL_WEIGHT) * result.similarity
+                }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit);
+        }
+    }
+
+    const siteIndex = new SiteIndex();
 
-        animatedElements.forEach(el => {
-            el.classList.add('fade-in');
-            observer.observe(el);
+    // The stretch of a passage around its first matching word, matches marked
+    function passageSnippet(text, terms) {
+        const words = Array.from(text.matchAll(/[\p{L}\p{N}]+/gu));
+        const isMatch = (word) => termMatches(foldText(word[0]).join(''), terms);
+        const first = Math.max(0, words.findIndex(isMatch));
+        const from = Math.max(0, Math.min(first - 6, words.length - SEARCH_SNIPPET_WORDS));
+        const to = Math.min(words.length, from + SEARCH_SNIPPET_WORDS);
+
+        const fragment = document.createDocumentFragment();
+        const start = from > 0 ? words[from].index : 0;
+        const end = to < words.length ? words[to].index : text.length;
+        let position = start;
+        if (from > 0) fragment.append('…');
+        words.slice(from, to).filter(isMatch).forEach(word => {
+            const mark = document.createElement('mark');
+            mark.className = 'rag-hit';
+            mark.textContent = word[0];
+            fragment.append(text.slice(position, word.index), mark);
+            position = word.index + word[0].length;
         });
+        fragment.append(text.slice(position, end).trimEnd());
+        if (to < words.length) fragment.append('…');
+        return fragment;
     }
 
-    // ===================================
-    // Smooth Scroll
-    // ===================================
-    function initSmoothScroll() {
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function(e) {
-                e.preventDefault();
-                const target = document.querySelector(this.getAttribute('href'));
-                if (target) {
-                    target.scrollIntoView({
-                        behavior: 'smooth',
-                        block: 'start'
-                    });
-                }
-            });
+    // A link that scrolls to where the passage is on the page and flashes it
+    function passageLink(passage) {
+        const link = document.createElement('a');
+        link.className = 'rag-source';
+        link.href = '#' + passage.sectionId;
+        link.textContent = '↳ ' + passage.label;
+        link.addEventListener('click', (e) => {
+            if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            e.preventDefault();
+            revealElement(passage.element, prefersReducedMotion() ? 'auto' : 'smooth');
         });
+        return link;
     }
 
     // ===================================
     // Initialize
     // ===================================
     function init() {
+        // Pages that only embed <chetech-terminal> have none of what follows
+        if (!document.getElementById('terminal-container')) return;
+
+        analytics.init();
+        if (new URL(window.location.href).searchParams.has('analytics')) {
+            analyticsPanel.open();
+        }
+        initAnalyticsConsent();
+        initContactTracking();
+        initThemeToggle();
+        const pageTranslated = initLanguageSwitcher();
         initNavigation();
-        initScrollAnimations();
-        initSmoothScroll();
+        const animateOnScroll = initScrollAnimations();
+        const contactForm = initContactForm();
+
+        // Window manager, seeded with the built-in scenarios
+        const windowManager = new WindowManager(document.getElementById('terminal-container'));
+        windowManager.setScenarios(collectScenarios(defaultScenarios, 'built-in'));
+        const router = new Router(windowManager);
+        if (DEV_MODE) {
+            installDebugApi(windowManager);
+        }
+
+        // Command palette over the page as it is now and whatever the terminal can do
+        const palette = new CommandPalette();
+        let pageItems = indexPage(router);
+        // The first translation doesn't count as a language change, so it gets its own re-index
+        pageTranslated.then(() => {
+            pageItems = indexPage(router);
+        });
+        i18n.on('localechange', () => {
+            pageItems = indexPage(router);
+        });
+        palette.register(() => pageItems);
+        palette.register(() => siteActions(windowManager, router));
+        palette.register(themeActions);
+        palette.register(analyticsActions);
+
+        // Index the page for `chetech-agent --rag` up front; it rebuilds itself after a language switch
+        siteIndex.build();
+
+        // Every project from the manifest, filterable; each one is in the palette too
+        const galleryElement = document.querySelector('[data-projects]');
+        if (galleryElement) {
+            const gallery = new ProjectGallery(galleryElement, animateOnScroll);
+            gallery.load();
+            i18n.on('localechange', () => gallery.render());
+            palette.register(() => gallery.paletteItems());
+        }
+
+        // Sections rendered from content.json replace the static copy, so the
+        // palette and the search index need to look at the new cards
+        loadContent().then(changed => {
+            if (changed.length === 0) return;
+            changed.forEach(container => {
+                i18n.apply(container);
+                animateOnScroll(container);
+            });
+            pageItems = indexPage(router);
+            siteIndex.build();
+            if (contactForm) contactForm.updateAreas();
+        });
+
+        // WinBox loads without holding up the page. The hero window waits until it has
+        // arrived or given up, so that every window ends up on the same layer.
+        const scenariosLoading = loadScenarios(scenarioSources(windowManager.container), i18n.locale);
+        windowLayerReady().then(() => {
+            // Create the hero terminal window, as it was left last visit. If no window
+            // can be made at all, the hero shows a static terminal instead.
+            const savedState = readTerminalState();
+            let terminalWindow = null;
+            let staticTerminal = null;
+            try {
+                terminalWindow = windowManager.open({ primary: true, savedState });
+            } catch (err) {
+                console.error(`[terminal] Could not create the terminal window, showing a static one: ${err.message}`);
+                staticTerminal = new StaticTerminal(windowManager.container);
+                staticTerminal.show(windowManager.scenarios);
+            }
+
+            // Demos follow the page language; a running window carries on from the same demo
+            i18n.on('localechange', ({ locale }) => {
+                loadScenarios(scenarioSources(windowManager.container), locale).then(scenarios => {
+                    if (i18n.locale !== locale) return;
+                    if (!terminalWindow) {
+                        staticTerminal.show(scenarios);
+                        return;
+                    }
+                    const index = terminalWindow.animator.currentSequence;
+                    windowManager.setScenarios(scenarios);
+                    if (terminalWindow.animator.isAutoplay) {
+                        terminalWindow.animator.select(index);
+                    }
+                    windowManager.updateDock();
+                });
+            });
+
+            // Start terminal animation once the scenario files are in
+            scenariosLoading.then(scenarios => {
+                windowManager.setScenarios(scenarios);
+                if (!terminalWindow) {
+                    staticTerminal.show(scenarios);
+                    return;
+                }
+                terminalWindow.restoreScenario();
 
-        // Create terminal animator
-        const animator = new TerminalAnimator();
+                // A link to a specific demo wins over how the last visit ended
+                if (router.openLinkedDemo()) return;
 
-        // Create terminal window with WinBox
-        const terminalWindow = new TerminalWindow(animator);
+                // The visitor may already have clicked into the shell
+                if (terminalWindow.shell.isActive) return;
 
-        // Start terminal animation
-        animator.start();
+                if (!terminalWindow.preferences.autoplay) {
+                    terminalWindow.shell.enter({ focus: false });
+                    return;
+                }
+                terminalWindow.animator.play();
+                // Don't animate a window nobody can see
+                if (terminalWindow.isMinimized || terminalWindow.isClosed) {
+                    terminalWindow.animator.pause();
+                }
+            });
+        });
     }
 
     // Run when DOM is ready
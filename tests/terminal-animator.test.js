@@ -0,0 +1,201 @@
+// Steps the terminal animation engine on a VirtualClock, in jsdom:
+//
+//   npm test
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { JSDOM } = require('jsdom');
+
+const SCRIPT = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+
+// Typing "ls" takes 2 x 10 ms plus the 400 ms pause after a command
+const SCENARIOS = [
+    {
+        id: 'list',
+        command: 'ls',
+        typingSpeed: 10,
+        hold: 1000,
+        outputs: [
+            { text: 'one', delay: 100 },
+            { text: 'two', delay: 200 }
+        ]
+    },
+    {
+        id: 'where',
+        command: 'pwd',
+        typingSpeed: 10,
+        hold: 1000,
+        outputs: [{ text: '/home', delay: 100 }]
+    }
+];
+
+// A page with nothing but script.js on it; without #terminal-container the site stays off
+function loadEngine() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://chetech.se/',
+        runScripts: 'outside-only'
+    });
+    // jsdom has no media queries
+    dom.window.matchMedia = (query) => ({
+        matches: false,
+        media: query,
+        addListener() {},
+        removeListener() {}
+    });
+    dom.window.eval(SCRIPT);
+    return { window: dom.window, engine: dom.window.customElements.get('chetech-terminal').engine };
+}
+
+const { window, engine } = loadEngine();
+
+function setup() {
+    const document = window.document;
+    const line = document.createElement('div');
+    const commandEl = document.createElement('span');
+    const outputEl = document.createElement('div');
+    line.appendChild(commandEl);
+    document.body.replaceChildren(line, outputEl);
+
+    const clock = new engine.VirtualClock();
+    const animator = new engine.TerminalAnimator({ clock });
+    animator.setElements(commandEl, outputEl, null);
+    animator.setScenarios(SCENARIOS.map(raw => engine.normalizeScenario(raw, 'tests')));
+
+    const events = [];
+    ['sequencestart', 'linerendered', 'sequenceend'].forEach(type => {
+        animator.on(type, detail => {
+            const event = { type, time: clock.now(), id: detail.scenario.id };
+            if (type === 'linerendered') event.text = detail.text;
+            if (type === 'sequencestart') event.fromStep = detail.fromStep;
+            events.push(event);
+        });
+    });
+    return { animator, clock, events, outputEl };
+}
+
+// Fire the next timer and let everything waiting on it run
+async function tick(clock) {
+    const fired = clock.tick();
+    await new Promise(resolve => setImmediate(resolve));
+    return fired;
+}
+
+async function runUntil(clock, done) {
+    for (let i = 0; i < 1000 && !done(); i++) {
+        if (!(await tick(clock))) break;
+    }
+    assert.ok(done(), `still waiting at ${clock.now()} ms`);
+}
+
+const rendered = (events, text) => () => events.some(event => event.type === 'linerendered' && event.text === text);
+const started = (events, id) => () => events.some(event => event.type === 'sequencestart' && event.id === id);
+
+test('plays a scenario in animation time and moves on after the hold', async () => {
+    const { animator, clock, events, outputEl } = setup();
+    animator.play();
+    assert.strictEqual(animator.state, 'playing');
+
+    await runUntil(clock, started(events, 'where'));
+    assert.deepStrictEqual(events, [
+        { type: 'sequencestart', time: 0, id: 'list', fromStep: 0 },
+        { type: 'linerendered', time: 420, id: 'list', text: 'ls' },
+        { type: 'linerendered', time: 520, id: 'list', text: 'one' },
+        { type: 'linerendered', time: 720, id: 'list', text: 'two' },
+        { type: 'sequenceend', time: 720, id: 'list' },
+        { type: 'sequencestart', time: 1720, id: 'where', fromStep: 0 }
+    ]);
+    assert.strictEqual(outputEl.textContent, '');
+    animator.stop();
+});
+
+test('pause freezes the timers until play', async () => {
+    const { animator, clock, events } = setup();
+    animator.play();
+    await runUntil(clock, rendered(events, 'ls'));
+
+    animator.pause();
+    assert.strictEqual(animator.state, 'paused');
+    assert.strictEqual(await tick(clock), false);
+
+    animator.play();
+    await runUntil(clock, rendered(events, 'one'));
+    assert.strictEqual(events[events.length - 1].time, 520);
+    animator.stop();
+});
+
+test('setSpeed stretches what is left of the current wait', async () => {
+    const { animator, clock, events } = setup();
+    const speeds = [];
+    animator.on('speedchange', ({ speed }) => speeds.push(speed));
+    animator.play();
+    await runUntil(clock, rendered(events, 'ls'));
+
+    animator.setSpeed(2);
+    await runUntil(clock, rendered(events, 'two'));
+    const lines = events.filter(event => event.type === 'linerendered').slice(-2);
+    assert.deepStrictEqual(lines.map(event => [event.text, event.time]), [['one', 470], ['two', 570]]);
+    assert.deepStrictEqual(speeds, [2]);
+    assert.throws(() => animator.setSpeed(0), window.RangeError);
+    animator.stop();
+});
+
+test('skip leaves the current scenario unfinished and starts the next', async () => {
+    const { animator, clock, events } = setup();
+    animator.play();
+    await runUntil(clock, rendered(events, 'one'));
+
+    animator.skip();
+    await runUntil(clock, rendered(events, '/home'));
+    assert.deepStrictEqual(events.slice(3).map(event => event.type + ' ' + event.id), [
+        'sequencestart where',
+        'linerendered where',
+        'linerendered where',
+        'sequenceend where'
+    ]);
+    assert.strictEqual(animator.currentScenario.id, 'where');
+    animator.stop();
+});
+
+test('seek draws the earlier steps at once and animates from there', async () => {
+    const { animator, clock, events, outputEl } = setup();
+    animator.play();
+    await runUntil(clock, rendered(events, 'ls'));
+    events.length = 0;
+
+    animator.seek(2);
+    await tick(clock);
+    assert.deepStrictEqual(events.slice(0, 3), [
+        { type: 'sequencestart', time: 420, id: 'list', fromStep: 2 },
+        { type: 'linerendered', time: 420, id: 'list', text: 'ls' },
+        { type: 'linerendered', time: 420, id: 'list', text: 'one' }
+    ]);
+    assert.strictEqual(outputEl.textContent, 'one');
+
+    await runUntil(clock, rendered(events, 'two'));
+    assert.strictEqual(events[events.length - 1].time, 620);
+    assert.strictEqual(outputEl.textContent, 'onetwo');
+    animator.stop();
+});
+
+test('a long suspension starts the scenario over; unsuspending what was never held does nothing', async () => {
+    const { animator, clock, events } = setup();
+    animator.play();
+    await runUntil(clock, rendered(events, 'ls'));
+
+    animator.unsuspend('hidden');
+    assert.strictEqual(animator.isSuspended, false);
+    await runUntil(clock, rendered(events, 'one'));
+    assert.strictEqual(events[events.length - 1].time, 520);
+
+    animator.suspend('hidden');
+    assert.strictEqual(await tick(clock), false);
+    clock.time += 30000;
+    events.length = 0;
+    animator.unsuspend('hidden');
+    await tick(clock);
+    assert.deepStrictEqual(events[0], { type: 'sequencestart', time: 30520, id: 'list', fromStep: 0 });
+    animator.stop();
+});
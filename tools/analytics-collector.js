@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// A local stand-in for the analytics endpoint. It serves the site itself, with
+// <meta name="analytics-endpoint"> pointed at its own /collect, so the page and
+// the collector share an origin just like they must in production:
+//
+//   node tools/analytics-collector.js
+//   open http://localhost:8788/?analytics    (the query opens the debug panel)
+//
+// Every batch the page beacons is checked and printed, one line per event,
+// followed by the running count of each event type. Nothing is written to disk.
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8788;
+const ENDPOINT = '/collect';
+const ANALYTICS_FORMAT_VERSION = 1;
+const MAX_BODY = 64 * 1024;
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.cast': 'application/x-asciicast',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.xml': 'application/xml',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+const totals = new Map();
+
+// Returns a list of problems; an empty list means the batch is usable
+function validateBatch(batch) {
+    if (!batch || typeof batch !== 'object') return ['not an object'];
+    const errors = [];
+    if (batch.version !== ANALYTICS_FORMAT_VERSION) {
+        errors.push(`unsupported format version ${JSON.stringify(batch.version)} (expected ${ANALYTICS_FORMAT_VERSION})`);
+    }
+    if (typeof batch.session !== 'string') errors.push('"session" must be a string');
+    if (!Array.isArray(batch.events)) {
+        errors.push('"events" must be an array');
+    } else {
+        batch.events.forEach((event, i) => {
+            if (!event || typeof event.type !== 'string' || typeof event.time !== 'number' ||
+                !event.props || typeof event.props !== 'object') {
+                errors.push(`events[${i}] needs a type, a time and props`);
+            }
+        });
+    }
+    return errors;
+}
+
+function collect(req, res) {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY) {
+            res.writeHead(413);
+            res.end();
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        let batch;
+        try {
+            batch = JSON.parse(body);
+        } catch (err) {
+            batch = null;
+        }
+        const errors = validateBatch(batch);
+        if (errors.length > 0) {
+            console.error(`Rejected a batch:\n  - ${errors.join('\n  - ')}`);
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+        console.log(`Batch from session ${batch.session} on ${batch.page} (${batch.locale}), ${batch.events.length} event(s):`);
+        batch.events.forEach(event => {
+            const props = Object.keys(event.props).map(key => `${key}=${event.props[key]}`).join(' ');
+            console.log(`  ${(event.time / 1000).toFixed(1).padStart(7)}s  ${event.type.padEnd(18)} ${props}`);
+            totals.set(event.type, (totals.get(event.type) || 0) + 1);
+        });
+        console.log('  totals: ' + Array.from(totals).map(([type, count]) => `${type} ${count}`).join(', '));
+        // sendBeacon never looks at the answer
+        res.writeHead(204);
+        res.end();
+    });
+}
+
+function serveFile(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+        // A malformed escape such as /%E0
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const file = path.join(ROOT, pathname.endsWith('/') ? pathname + 'index.html' : pathname);
+    if (!file.startsWith(ROOT + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    let content = fs.readFileSync(file);
+    if (path.basename(file) === 'index.html') {
+        content = content.toString('utf8').replace(
+            /<meta name="analytics-endpoint" content="[^"]*">/,
+            `<meta name="analytics-endpoint" content="${ENDPOINT}">`
+        );
+    }
+    res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(content);
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'POST' && req.url === ENDPOINT) {
+        collect(req, res);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+        serveFile(req, res);
+    } else {
+        res.writeHead(405);
+        res.end();
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Serving the site on http://localhost:${PORT}/ and collecting events at ${ENDPOINT}`);
+});
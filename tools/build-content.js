@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+// Writes content.json into the rest of the site: the static copy of the services,
+// experience and open source sections in index.html, the JSON-LD block in its
+// head, and sitemap.xml. The page renders the same sections from content.json at
+// runtime; the static copy is what crawlers and visitors without it see.
+//
+//   node tools/build-content.js           update index.html and sitemap.xml
+//   node tools/build-content.js --check   exit with 1 if either is out of date
+//
+// Sections are replaced between <!-- content:<name> --> and <!-- /content:<name> -->.
+// No dependencies; any recent Node will do.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const CONTENT_FILE = path.join(ROOT, 'content.json');
+const INDEX_FILE = path.join(ROOT, 'index.html');
+const SITEMAP_FILE = path.join(ROOT, 'sitemap.xml');
+
+const CONTENT_FORMAT_VERSION = 1;
+const CONTENT_ID = /^[a-z][\w-]*$/;
+// Keep in step with CONTENT_FIELDS in script.js
+const CONTENT_FIELDS = {
+    services: ['id', 'icon', 'title', 'body'],
+    experience: ['id', 'title', 'start', 'role', 'description'],
+    projects: ['id', 'name', 'url', 'description']
+};
+
+const GITHUB_REPO_ICON = '<path d="M9 19c-5 1.5-5-2.5-7-3m14 6v-3.87a3.37 3.37 0 0 0-.94-2.61c3.14-.35 6.44-1.54 6.44-7A5.44 5.44 0 0 0 20 4.77 5.07 5.07 0 0 0 19.91 1S18.73.65 16 2.48a13.38 13.38 0 0 0-7 0C6.27.65 5.09 1 5.09 1A5.07 5.07 0 0 0 5 4.77a5.44 5.44 0 0 0-1.5 3.78c0 5.42 3.3 6.61 6.44 7A3.37 3.37 0 0 0 9 18.13V22"/>';
+const EXTERNAL_LINK_ICON = '<path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/><polyline points="15,3 21,3 21,9"/><line x1="10" y1="14" x2="21" y2="3"/>';
+
+// The build fails on anything script.js would skip, so a broken entry never
+// reaches the static copy
+function validate(content) {
+    const errors = [];
+    if (!content || content.version !== CONTENT_FORMAT_VERSION) {
+        errors.push(`unsupported format version ${JSON.stringify(content && content.version)} (expected ${CONTENT_FORMAT_VERSION})`);
+        return errors;
+    }
+    ['site', 'organization', 'person'].forEach(key => {
+        if (!content[key] || typeof content[key] !== 'object') {
+            errors.push(`"${key}" must be an object`);
+        }
+    });
+    Object.keys(CONTENT_FIELDS).forEach(list => {
+        if (!Array.isArray(content[list])) {
+            errors.push(`"${list}" must be an array`);
+            return;
+        }
+        const seen = new Set();
+        content[list].forEach((entry, i) => {
+            CONTENT_FIELDS[list].forEach(field => {
+                if (!entry || typeof entry[field] !== 'string' || entry[field].trim() === '') {
+                    errors.push(`${list}[${i}]: "${field}" must be a non-empty string`);
+                }
+            });
+            if (!entry) return;
+            if (typeof entry.id === 'string' && !CONTENT_ID.test(entry.id)) {
+                errors.push(`${list}[${i}]: "id" must be lowercase letters, digits, "-" or "_"`);
+            }
+            if (seen.has(entry.id)) {
+                errors.push(`${list}[${i}]: id "${entry.id}" is already used`);
+            }
+            seen.add(entry.id);
+            if (list === 'services' && entry.features !== undefined &&
+                !(Array.isArray(entry.features) && entry.features.every(feature =>
+                    feature && typeof feature.id === 'string' && CONTENT_ID.test(feature.id) && typeof feature.text === 'string'))) {
+                errors.push(`${list}[${i}]: "features" must be a list of { id, text }`);
+            }
+            if (list === 'experience' && entry.end !== null && entry.end !== undefined && typeof entry.end !== 'string') {
+                errors.push(`${list}[${i}]: "end" must be a string, or null while it is still going on`);
+            }
+        });
+    });
+    return errors;
+}
+
+function escapeXml(text) {
+    return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+// Same as fnv1a() in script.js; the page compares these to skip re-rendering
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function contentHash(entries) {
+    return fnv1a(JSON.stringify(entries)).toString(36);
+}
+
+// One element of an inline SVG per line
+function iconLines(icon) {
+    return icon.replace(/>\s*</g, '>\n<').split('\n');
+}
+
+// Lines nested under an opening tag, four spaces deeper
+function nest(open, lines, close) {
+    return [open, ...lines.map(line => line ? '    ' + line : ''), close];
+}
+
+// The markup in these must match serviceCardHtml() and friends in script.js
+
+function serviceCard(service) {
+    const key = `services.${service.id}`;
+    const features = (service.features || []).map(feature =>
+        `<li data-i18n="${key}.${feature.id}">${escapeXml(feature.text)}</li>`);
+    return nest(`<div class="service-card${service.featured ? ' service-card-primary' : ''}">`, [
+        ...nest('<div class="service-icon">',
+            nest('<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">', iconLines(service.icon), '</svg>'),
+            '</div>'),
+        `<h3 data-i18n="${key}.title">${escapeXml(service.title)}</h3>`,
+        ...nest(`<p data-i18n="${key}.body">`, [escapeXml(service.body)], '</p>'),
+        ...(features.length ? nest('<ul class="service-features">', features, '</ul>') : [])
+    ], '</div>');
+}
+
+function timelineItem(entry) {
+    const key = `experience.${entry.id}`;
+    const end = entry.end ? escapeXml(entry.end) : '<span data-i18n="experience.present">Present</span>';
+    return nest('<div class="timeline-item">', [
+        '<div class="timeline-marker"></div>',
+        ...nest('<div class="timeline-content">', [
+            ...nest('<div class="timeline-header">', [
+                `<h3 data-i18n="${key}.title">${escapeXml(entry.title)}</h3>`,
+                `<span class="timeline-date">${escapeXml(entry.start)} - ${end}</span>`
+            ], '</div>'),
+            `<p class="timeline-role" data-i18n="${key}.role">${escapeXml(entry.role)}</p>`,
+            ...nest(`<p class="timeline-description" data-i18n="${key}.description">`, [escapeXml(entry.description)], '</p>')
+        ], '</div>')
+    ], '</div>');
+}
+
+function project(entry) {
+    return nest('<div class="featured-project">', [
+        ...nest('<div class="project-header">', [
+            ...nest('<svg class="project-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">', iconLines(GITHUB_REPO_ICON), '</svg>'),
+            `<h3>${escapeXml(entry.name)}</h3>`
+        ], '</div>'),
+        ...nest(`<p class="project-description" data-i18n="opensource.${entry.id}.description">`, [escapeXml(entry.description)], '</p>'),
+        ...nest(`<a href="${escapeXml(entry.url)}" target="_blank" rel="noopener" class="project-link">`, [
+            '<span data-i18n="opensource.viewOnGithub">View on GitHub</span>',
+            ...nest('<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">', iconLines(EXTERNAL_LINK_ICON), '</svg>')
+        ], '</a>')
+    ], '</div>');
+}
+
+// A [data-content] container with every entry of a list in it, blank lines between entries
+function contentList(tag, className, list, entries, render) {
+    const lines = [];
+    entries.forEach((entry, i) => {
+        if (i > 0) lines.push('');
+        lines.push(...render(entry));
+    });
+    return nest(`<${tag} class="${className}" data-content="${list}" data-content-hash="${contentHash(entries)}">`, lines, `</${tag}>`);
+}
+
+// schema.org description of the company, the person behind it, their roles and projects
+function structuredData(content) {
+    const { site, organization, person } = content;
+    const organizationId = site.url + '#organization';
+    const personId = site.url + '#person';
+    return {
+        '@context': 'https://schema.org',
+        '@graph': [
+            {
+                '@type': 'ProfessionalService',
+                '@id': organizationId,
+                name: organization.name,
+                url: site.url,
+                logo: organization.logo,
+                image: organization.logo,
+                description: organization.description,
+                address: {
+                    '@type': 'PostalAddress',
+                    addressLocality: organization.locality,
+                    addressCountry: organization.country
+                },
+                founder: { '@id': personId },
+                serviceType: content.services.map(service => service.title)
+            },
+            {
+                '@type': 'Person',
+                '@id': personId,
+                name: person.name,
+                jobTitle: person.jobTitle,
+                alumniOf: { '@type': 'CollegeOrUniversity', name: person.alumniOf },
+                worksFor: { '@id': organizationId },
+                sameAs: person.sameAs || [],
+                hasOccupation: content.experience.map(entry => Object.assign({
+                    '@type': 'Role',
+                    hasOccupation: {
+                        '@type': 'Occupation',
+                        name: entry.role,
+                        description: entry.description
+                    },
+                    startDate: entry.start
+                }, entry.end ? { endDate: entry.end } : {}))
+            },
+            ...content.projects.map(entry => ({
+                '@type': 'SoftwareSourceCode',
+                name: entry.name,
+                description: entry.description,
+                codeRepository: entry.url,
+                author: { '@id': personId }
+            }))
+        ]
+    };
+}
+
+function jsonLd(content) {
+    const json = JSON.stringify(structuredData(content), null, 2)
+        // Nothing in the data may close the script element early
+        .replace(/<\//g, '<\\/');
+    return ['<script type="application/ld+json">', ...json.split('\n'), '</script>'];
+}
+
+function sitemap(content) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        '  <url>',
+        `    <loc>${escapeXml(content.site.url)}</loc>`,
+        `    <lastmod>${escapeXml(content.site.updated)}</lastmod>`,
+        '    <changefreq>monthly</changefreq>',
+        '    <priority>1.0</priority>',
+        '  </url>',
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+// Swap what sits between the two markers, indented like the opening one
+function replaceRegion(html, name, lines) {
+    const pattern = new RegExp(`^([ \\t]*)<!-- content:${name} -->\\n[\\s\\S]*?^[ \\t]*<!-- /content:${name} -->`, 'm');
+    const match = html.match(pattern);
+    if (!match) {
+        throw new Error(`index.html has no <!-- content:${name} --> ... <!-- /content:${name} --> markers`);
+    }
+    const indent = match[1];
+    const body = lines.map(line => line ? indent + line : '').join('\n');
+    return html.replace(pattern, () => `${indent}<!-- content:${name} -->\n${body}\n${indent}<!-- /content:${name} -->`);
+}
+
+function build(content, html) {
+    html = replaceRegion(html, 'jsonld', jsonLd(content));
+    html = replaceRegion(html, 'services', contentList('div', 'services-grid', 'services', content.services, serviceCard));
+    html = replaceRegion(html, 'experience', contentList('div', 'timeline', 'experience', content.experience, timelineItem));
+    html = replaceRegion(html, 'projects', contentList('div', 'opensource-projects', 'projects', content.projects, project));
+    return { [INDEX_FILE]: html, [SITEMAP_FILE]: sitemap(content) };
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const content = JSON.parse(fs.readFileSync(CONTENT_FILE, 'utf8'));
+    const errors = validate(content);
+    if (errors.length > 0) {
+        console.error(`content.json has ${errors.length} problem(s):\n  - ${errors.join('\n  - ')}`);
+        process.exit(1);
+    }
+
+    const outputs = build(content, fs.readFileSync(INDEX_FILE, 'utf8'));
+    const stale = Object.keys(outputs).filter(file =>
+        !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== outputs[file]);
+    if (check) {
+        if (stale.length > 0) {
+            console.error(`Out of date with content.json: ${stale.map(file => path.relative(ROOT, file)).join(', ')}\nRun: node tools/build-content.js`);
+            process.exit(1);
+        }
+        return;
+    }
+    stale.forEach(file => {
+        fs.writeFileSync(file, outputs[file]);
+        console.log(`Wrote ${path.relative(ROOT, file)}`);
+    });
+    if (stale.length === 0) {
+        console.log('Everything is up to date');
+    }
+}
+
+main();
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+// Regenerates projects.json, the manifest behind the project gallery, without
+// touching the network. It reads any mix of:
+//
+//   --github <file>   a saved repository listing, e.g.
+//                     gh api 'users/chetic/repos?per_page=100' > repos.json
+//                     (stars, topics, language and description come from here)
+//   <checkout> ...    local clones; the README excerpt, last commit date, main
+//                     language and package keywords come from these
+//
+//   node tools/build-projects.js --github repos.json ~/src/chunksilo ~/src/other
+//
+// Entries already in projects.json keep whatever the new sources don't say, so
+// hand-picked tags and a stars snapshot survive a run from checkouts alone.
+// Forks and archived repositories in the listing are left out.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_FILE = path.join(ROOT, 'projects.json');
+const PROJECTS_FORMAT_VERSION = 1;
+const EXCERPT_LENGTH = 280;
+
+// File extensions worth counting towards a repository's language
+const LANGUAGES = {
+    '.c': 'C', '.h': 'C', '.cc': 'C++', '.cpp': 'C++', '.hpp': 'C++', '.cs': 'C#',
+    '.go': 'Go', '.java': 'Java', '.js': 'JavaScript', '.mjs': 'JavaScript', '.ts': 'TypeScript',
+    '.kt': 'Kotlin', '.lua': 'Lua', '.py': 'Python', '.rb': 'Ruby', '.rs': 'Rust',
+    '.sh': 'Shell', '.swift': 'Swift', '.zig': 'Zig'
+};
+
+function git(dir, args) {
+    return execFileSync('git', ['-C', dir, ...args], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+// git@github.com:owner/repo.git and https://github.com/owner/repo.git both become https://github.com/owner/repo
+function webUrl(remote) {
+    return remote
+        .replace(/^git@([^:]+):/, 'https://$1/')
+        .replace(/^ssh:\/\/git@/, 'https://')
+        .replace(/\.git$/, '');
+}
+
+function mainLanguage(files) {
+    const counts = new Map();
+    files.forEach(file => {
+        const language = LANGUAGES[path.extname(file).toLowerCase()];
+        if (language) counts.set(language, (counts.get(language) || 0) + 1);
+    });
+    const ranked = Array.from(counts).sort((a, b) => b[1] - a[1]);
+    return ranked.length ? ranked[0][0] : undefined;
+}
+
+// The first paragraph of prose in a README, with the Markdown taken out
+function readmeExcerpt(text) {
+    const paragraph = text
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/```[\s\S]*?```/g, '')
+        .split(/\n\s*\n/)
+        .map(block => block.trim())
+        .find(block => block && !/^(#|!\[|\[!\[|<|[-*+] |\||>)/.test(block));
+    if (!paragraph) return undefined;
+    const plain = paragraph
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_`]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (plain.length <= EXCERPT_LENGTH) return plain;
+    return plain.slice(0, plain.lastIndexOf(' ', EXCERPT_LENGTH)) + '…';
+}
+
+function fromCheckout(dir) {
+    const entry = { name: path.basename(path.resolve(dir)) };
+    try {
+        entry.url = webUrl(git(dir, ['remote', 'get-url', 'origin']));
+    } catch (err) {
+        // A clone without a remote still has everything else
+    }
+    entry.updated = git(dir, ['log', '-1', '--format=%cs']);
+    entry.language = mainLanguage(git(dir, ['ls-files']).split('\n'));
+
+    const readme = fs.readdirSync(dir).find(file => /^readme(\.md|\.markdown|\.txt)?$/i.test(file));
+    if (readme) {
+        entry.readme = readmeExcerpt(fs.readFileSync(path.join(dir, readme), 'utf8'));
+    }
+    const packageFile = path.join(dir, 'package.json');
+    if (fs.existsSync(packageFile)) {
+        const keywords = JSON.parse(fs.readFileSync(packageFile, 'utf8')).keywords;
+        if (Array.isArray(keywords) && keywords.length) entry.tags = keywords.map(String);
+    }
+    return entry;
+}
+
+function fromListing(repo) {
+    return {
+        name: repo.name,
+        url: repo.html_url,
+        description: repo.description || undefined,
+        language: repo.language || undefined,
+        tags: Array.isArray(repo.topics) && repo.topics.length ? repo.topics : undefined,
+        stars: repo.stargazers_count,
+        updated: typeof repo.pushed_at === 'string' ? repo.pushed_at.slice(0, 10) : undefined
+    };
+}
+
+// Later sources win, but only for the fields they actually have
+function merge(target, source) {
+    Object.keys(source).forEach(key => {
+        if (source[key] !== undefined) target[key] = source[key];
+    });
+    return target;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const listings = [];
+    const checkouts = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--github') {
+            listings.push(args[++i]);
+        } else {
+            checkouts.push(args[i]);
+        }
+    }
+    if (listings.length === 0 && checkouts.length === 0) {
+        console.error('Usage: node tools/build-projects.js [--github repos.json] [checkout ...]');
+        process.exit(1);
+    }
+
+    const manifest = fs.existsSync(MANIFEST_FILE)
+        ? JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'))
+        : { version: PROJECTS_FORMAT_VERSION, projects: [] };
+    const byName = new Map(manifest.projects.map(entry => [entry.name.toLowerCase(), entry]));
+    const add = (entry) => {
+        const key = entry.name.toLowerCase();
+        byName.set(key, merge(byName.get(key) || { name: entry.name }, entry));
+    };
+
+    listings.forEach(file => {
+        const repos = JSON.parse(fs.readFileSync(file, 'utf8'));
+        // `gh api --paginate --slurp` gives a list of pages
+        (Array.isArray(repos) ? repos : [repos]).flat()
+            .filter(repo => repo && !repo.fork && !repo.archived)
+            .forEach(repo => add(fromListing(repo)));
+    });
+    checkouts.forEach(dir => add(fromCheckout(dir)));
+
+    const projects = Array.from(byName.values())
+        .filter(entry => entry.url)
+        .sort((a, b) => (b.updated || '').localeCompare(a.updated || '') || a.name.localeCompare(b.name));
+    const output = {
+        version: PROJECTS_FORMAT_VERSION,
+        generated: new Date().toISOString().slice(0, 10),
+        projects
+    };
+    fs.writeFileSync(MANIFEST_FILE, JSON.stringify(output, null, 2) + '\n');
+    console.log(`Wrote ${projects.length} project(s) to ${path.relative(ROOT, MANIFEST_FILE)}`);
+}
+
+main();
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// A stand-in for the real inquiry backend, for trying the contact form locally.
+// Point the form at it and every submission is printed here:
+//
+//   <form class="contact-form" data-endpoint="http://localhost:8787/contact">
+//
+//   node tools/contact-stub-server.js [--fail] [--delay ms]
+//
+// --fail answers every inquiry with a 500, which is how to see the form's
+// "send it by email instead" fallback; --delay holds each answer back, e.g.
+// to watch the sending state or the request timeout.
+'use strict';
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_BODY = 64 * 1024;
+
+const args = process.argv.slice(2);
+const fail = args.includes('--fail');
+const delayIndex = args.indexOf('--delay');
+const delay = delayIndex === -1 ? 0 : Number(args[delayIndex + 1]) || 0;
+
+let received = 0;
+
+function reply(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Accept'
+        });
+        res.end();
+        return;
+    }
+    if (req.method !== 'POST' || req.url !== '/contact') {
+        reply(res, 404, { ok: false, error: 'Not found' });
+        return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY) {
+            reply(res, 413, { ok: false, error: 'Too large' });
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        let lead;
+        try {
+            lead = JSON.parse(body);
+        } catch (err) {
+            reply(res, 400, { ok: false, error: 'Expected JSON' });
+            return;
+        }
+        const id = ++received;
+        console.log(`Inquiry #${id}:\n${JSON.stringify(lead, null, 2)}`);
+        setTimeout(() => {
+            if (fail) {
+                reply(res, 500, { ok: false, error: 'Failing on purpose (--fail)' });
+            } else {
+                reply(res, 201, { ok: true, id });
+            }
+        }, delay);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Contact stub listening on http://localhost:${PORT}/contact` + (fail ? ' (failing every request)' : ''));
+});